@@ -0,0 +1,111 @@
+/**
+ * Text form of the puzzle for screen-reader users
+ * @module accessibility
+ */
+
+'use strict';
+
+const {splitLabels} = require('./labels');
+
+/**
+ * Singular and plural words of shapes. Shapes missing here are named by their name.
+ *  @constant
+ */
+const SHAPE_WORDS = {
+    square: ['square', 'squares'],
+    rectangle: ['rectangle', 'rectangles'],
+    circle: ['circle', 'circles'],
+    heart: ['heart', 'hearts'],
+    cross: ['cross', 'crosses'],
+    moon: ['moon', 'moons'],
+    roof: ['roof', 'roofs'],
+    arrow: ['arrow', 'arrows'],
+    triangle: ['triangle', 'triangles'],
+    fivestar: ['five-pointed star', 'five-pointed stars'],
+    pentagon: ['pentagon', 'pentagons'],
+    plus: ['plus sign', 'plus signs'],
+    threelines: ['three lines', 'sets of three lines'],
+    sun: ['sun', 'suns']
+};
+/**
+ * Number words.
+ *  @constant
+ */
+const NUMBER_WORDS = ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven',
+    'twelve'];
+/**
+ * Positions of inserted shapes by their x and y offsets.
+ *  @constant
+ */
+const POSITIONS = {
+    '-1,-1': 'top left', '0,-1': 'top', '1,-1': 'top right',
+    '-1,0': 'left', '0,0': 'middle', '1,0': 'right',
+    '-1,1': 'bottom left', '0,1': 'bottom', '1,1': 'bottom right'
+};
+
+const _shapeWord = (name, plural) => (SHAPE_WORDS[name] || [name, name + 's'])[plural ? 1 : 0];
+const _numberWord = n => (NUMBER_WORDS[n] || String(n));
+
+/**
+ * Describes one layer of a tile.
+ * @param {{shape: String, painter: String, params: Object}} layer described layer
+ * @param {Object} [painters] painters by their names. Painters with describe function describe their layers
+ * @returns {String} text of the layer
+ */
+const describeLayer = (layer, painters = {}) => {
+    const params = layer.params || {};
+    const filled = params.fill ? 'filled ' : '';
+    const painter = painters[layer.painter];
+    if (painter && typeof painter.describe === 'function')
+        return painter.describe(`${filled}${_shapeWord(layer.shape)}`, params);
+    switch (layer.painter) {
+        case 'clock': {
+            const count = (params.itercount || 4) - (params.skipFirst ? 1 : 0);
+            return `${_numberWord(count)} ${filled}${_shapeWord(layer.shape, count !== 1)} placed around in a circle`;
+        }
+        case 'insert':
+            return `${filled}${_shapeWord(layer.shape)} inserted at the ${POSITIONS[`${params.tx || 0},${params.ty || 0}`]}`;
+        case 'place':
+            return `one ${filled}${_shapeWord(layer.shape)}`;
+        default:
+            return `${filled}${_shapeWord(layer.shape)} drawn by ${layer.painter}`;
+    }
+};
+
+/**
+ * Describes the content of a tile.
+ * @param {{question: Boolean, layers: Array}} tile described tile
+ * @param {Object} [painters] painters by their names
+ * @returns {String} text of the tile
+ */
+const describeTile = (tile, painters) => {
+    if (tile.question)
+        return 'question mark';
+    const [first, ...rest] = tile.layers.map(layer => describeLayer(layer, painters));
+    return rest.length ? `${first} with ${rest.join(' and ')}` : first;
+};
+
+/**
+ * Creates text/spoken version of the puzzle from its description. The answer of the text challenge is the same as
+ * the answer of the image.
+ * @param {Object} description puzzle description provided by generator
+ * @param {Object} [painters] painters by their names
+ * @returns {String} text challenge
+ */
+const describePuzzle = (description, painters) => {
+    const rows = description.grid.map((row, y) =>
+        `Row ${y + 1}: ${row.map(tile => describeTile(tile, painters)).join('; ')}.`);
+    const options = description.options.map(option =>
+        `Option ${option.letter}: ${describeTile(option, painters)}.`);
+    const count = splitLabels(description.answer, description.choices).length;
+    return [
+        'Rows and columns of the puzzle follow the same pattern of shapes and layers.',
+        ...rows,
+        `Which ${count === 1 ? 'option' : _numberWord(count) + ' options'} could replace the question mark?`,
+        ...options,
+        `Answer with ${count === 1 ? 'the label' : 'the ' + _numberWord(count) + ' labels'} of the correct ` +
+        `option${count === 1 ? '' : 's'}.`
+    ].join(' ');
+};
+
+module.exports = {describePuzzle, describeTile, describeLayer};
\ No newline at end of file
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool generating batches of CAPTCHAs and their contact sheets
+ * @module cli
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const {dirname, join, relative, resolve, sep} = require('path');
+const {fork} = require('child_process');
+const Geo = require('../geometry');
+const {splitLabels} = require('../labels');
+
+const USAGE = `Usage:
+  kx-iqcaptcha generate [options]   generates CAPTCHAs with a manifest of answers
+  kx-iqcaptcha preview <dir> [--out <file>]   builds HTML contact sheet of generated CAPTCHAs
+
+Options of generate:
+  -n, --count <n>         number of CAPTCHAs. Default 10
+  -o, --out <dir>         output directory. Default ./captchas
+  --format <format>       png, jpeg, webp or svg. Default png
+  --tile-res <px>         tile resolution in pixels. Default 100
+  --theme <theme>         light, dark or high-contrast
+  --letters <letters>     possible letters of options, e.g. ABCDEFGH
+  --labels <labels>       label set, e.g. digits, or comma separated labels
+  --seed <seed>           seed of the batch. Same seed leads to the same CAPTCHAs
+  --difficulty <level>    easy, normal, hard or number in range [0, 1]
+  --noise <level>         none, low, medium, high or number in range [0, 1]
+  --validate              reject and recreate puzzles whose options can not be told apart
+  --gen-opts <json>       other generator options as JSON
+  --manifest <type>       json or ndjson. Default ndjson
+  -j, --jobs <n>          number of parallel workers. Default number of CPUs`;
+/**
+ * File extensions of image formats.
+ *  @constant
+ */
+const EXTENSIONS = {png: 'png', jpeg: 'jpg', webp: 'webp', svg: 'svg'};
+const ALIASES = {n: 'count', o: 'out', j: 'jobs'};
+
+/**
+ * Parses command-line arguments.
+ * @param {Array<String>} argv arguments without node and script path
+ * @returns {{command: String, positional: Array<String>, flags: Object}} command, positional arguments and options
+ */
+const parseArgs = argv => {
+    const [command, ...rest] = argv, positional = [], flags = {};
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i], match = /^--?([\w-]+)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            positional.push(arg);
+            continue;
+        }
+        const name = ALIASES[match[1]] || match[1];
+        if (match[2] !== undefined)
+            flags[name] = match[2];
+        else if (i + 1 < rest.length && !/^--?[a-z]/i.test(rest[i + 1]))
+            flags[name] = rest[++i];
+        else flags[name] = true;
+    }
+    return {command, positional, flags};
+};
+
+const _number = (flags, name, fallback) => {
+    if (flags[name] === undefined)
+        return fallback;
+    const value = Number(flags[name]);
+    if (!Number.isFinite(value))
+        throw new Error(`Option --${name} must be a number!`);
+    return value;
+};
+const _level = value => (value !== undefined && !isNaN(Number(value)) ? Number(value) : value);
+
+/**
+ * Builds generator options from command-line options.
+ * @param {Object} flags parsed options
+ * @returns {Object} generator options
+ */
+const genOptsOf = flags => {
+    const genOpts = flags['gen-opts'] ? JSON.parse(flags['gen-opts']) : {};
+    flags.format !== undefined && (genOpts.format = flags.format);
+    flags['tile-res'] !== undefined && (genOpts.tileRes = _number(flags, 'tile-res'));
+    flags.theme !== undefined && (genOpts.theme = flags.theme);
+    flags.letters !== undefined && (genOpts.possibleLetters = [...String(flags.letters)]);
+    flags.labels !== undefined && (genOpts.labels = String(flags.labels).includes(',')
+        ? flags.labels.split(',') : flags.labels);
+    flags.difficulty !== undefined && (genOpts.difficulty = _level(flags.difficulty));
+    flags.noise !== undefined && (genOpts.noise = _level(flags.noise));
+    flags.validate && (genOpts.validate = true);
+    genOpts.format = genOpts.format || 'png';
+    if (!EXTENSIONS.hasOwnProperty(genOpts.format))
+        throw new Error(`Unsupported format ${genOpts.format}!`);
+    if (genOpts.format !== 'svg')
+        try {
+            require.resolve('canvas');
+        } catch (e) {
+            throw new Error(`Format ${genOpts.format} needs the canvas module! Install canvas or use --format svg.`);
+        }
+    genOpts.output = 'buffer';
+    return genOpts;
+};
+
+/**
+ * Generates CAPTCHAs with given seeds in parallel worker processes.
+ * @param {Object} genOpts generator options
+ * @param {Array<Number>} seeds seeds of CAPTCHAs
+ * @param {Number} jobs number of workers
+ * @param {function(Object, Number)} onCreated function receiving created CAPTCHA and its index
+ * @returns {Promise<void>}
+ */
+const generateParallel = (genOpts, seeds, jobs, onCreated) => new Promise((resolvePromise, reject) => {
+    let next = 0, done = 0, failed = false;
+    const workers = [];
+    const finish = err => {
+        workers.forEach(worker => worker.connected && worker.kill());
+        err ? reject(err) : resolvePromise();
+    };
+    const dispatch = worker => {
+        if (next < seeds.length) {
+            const id = next++;
+            worker.send({cmd: 'provide', id, createOpts: {seed: seeds[id]}});
+        }
+    };
+    if (!seeds.length)
+        return resolvePromise();
+    for (let i = 0; i < Math.min(jobs, seeds.length); i++) {
+        const worker = fork(join(__dirname, '..', 'provider-job'), [JSON.stringify(genOpts)],
+            {serialization: 'advanced'});
+        worker.on('message', data => {
+            if (failed)
+                return;
+            if (data.err) {
+                failed = true;
+                return finish(data.err);
+            }
+            const id = data.id;
+            delete data.id;
+            onCreated(data, id);
+            ++done === seeds.length ? finish() : dispatch(worker);
+        });
+        worker.on('exit', code => {
+            if (!failed && done < seeds.length) {
+                failed = true;
+                finish(new Error(`Worker exited with ${code}!`));
+            }
+        });
+        workers.push(worker);
+        dispatch(worker);
+    }
+});
+
+/**
+ * Generates CAPTCHAs into directory with manifest of answers.
+ * @param {Object} flags parsed options
+ * @returns {Promise<void>}
+ */
+const generate = async flags => {
+    const count = _number(flags, 'count', 10),
+        jobs = _number(flags, 'jobs', os.cpus().length),
+        out = resolve(String(flags.out || 'captchas')),
+        manifestType = flags.manifest || 'ndjson',
+        genOpts = genOptsOf(flags);
+    if (!Number.isInteger(count) || count < 1)
+        throw new Error('Option --count must be a positive integer!');
+    if (!Number.isInteger(jobs) || jobs < 1)
+        throw new Error('Option --jobs must be a positive integer!');
+    if (manifestType !== 'json' && manifestType !== 'ndjson')
+        throw new Error('Option --manifest must be json or ndjson!');
+    // seeds are picked the same way generator with the seed picks them, so batches are reproducible
+    const seedRng = flags.seed !== undefined ? Geo.createRng(_number(flags, 'seed')) : Math.random,
+        seeds = Array.from({length: count}, () => Math.floor(seedRng() * Geo.SEED_RANGE)),
+        width = String(count).length,
+        entries = new Array(count);
+    fs.mkdirSync(out, {recursive: true});
+    await generateParallel(genOpts, seeds, jobs, (captcha, i) => {
+        const file = `${String(i + 1).padStart(width, '0')}-${captcha.seed}.${EXTENSIONS[genOpts.format]}`;
+        fs.writeFileSync(join(out, file), captcha.data);
+        entries[i] = {
+            file, seed: captcha.seed, answer: captcha.answer, choices: captcha.choices,
+            difficulty: captcha.difficulty, areas: captcha.areas
+        };
+        captcha.text !== undefined && (entries[i].text = captcha.text);
+    });
+    const manifest = join(out, 'manifest.' + manifestType);
+    fs.writeFileSync(manifest, manifestType === 'json' ? JSON.stringify(entries, null, 2)
+        : entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    console.log(`Generated ${count} CAPTCHAs in ${out}, manifest ${manifest}`);
+};
+
+/**
+ * Reads manifest of generated CAPTCHAs.
+ * @param {String} dir directory of generated CAPTCHAs
+ * @returns {Array<Object>} manifest entries
+ */
+const readManifest = dir => {
+    if (fs.existsSync(join(dir, 'manifest.json')))
+        return JSON.parse(fs.readFileSync(join(dir, 'manifest.json'), 'utf8'));
+    if (fs.existsSync(join(dir, 'manifest.ndjson')))
+        return fs.readFileSync(join(dir, 'manifest.ndjson'), 'utf8').split('\n').filter(Boolean)
+            .map(line => JSON.parse(line));
+    throw new Error(`No manifest in ${dir}!`);
+};
+
+const _escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Builds HTML contact sheet of generated CAPTCHAs. Correct options are outlined and answers are written over the
+ * images.
+ * @param {Array<Object>} entries manifest entries
+ * @param {String} [imageDir] directory of the images relative to the contact sheet. Default the same directory
+ * @returns {String} HTML document
+ */
+const contactSheet = (entries, imageDir = '') => {
+    const figures = entries.map(entry => {
+        const src = (imageDir ? imageDir.split(sep).concat(entry.file) : [entry.file]).map(encodeURIComponent)
+            .join('/');
+        const correct = splitLabels(entry.answer, entry.choices);
+        const boxes = (entry.areas || []).filter(area => correct.includes(area.letter.toLowerCase()))
+            .map(area => `<div class="box" style="left:${area.x}px;top:${area.y}px;width:${area.width}px;` +
+                `height:${area.height}px"></div>`).join('');
+        const level = entry.difficulty ? `${entry.difficulty.level || 'custom'} ${entry.difficulty.score}` : '';
+        return `<figure><div class="image"><img src="${_escape(src)}" alt="">${boxes}` +
+            `<span class="answer">${_escape(entry.answer)}</span></div>` +
+            `<figcaption>${_escape(entry.file)}<br>seed ${entry.seed}, ${_escape(level)}</figcaption></figure>`;
+    });
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>IQCaptcha contact sheet</title>
+<style>
+body {font-family: sans-serif; display: flex; flex-wrap: wrap; gap: 16px}
+figure {margin: 0}
+.image {position: relative; display: inline-block}
+.box {position: absolute; box-sizing: border-box; border: 3px solid #e00}
+.answer {position: absolute; top: 4px; right: 4px; padding: 2px 8px; background: #e00; color: #fff; font-size: 24px}
+figcaption {font-size: 12px; color: #555}
+</style>
+</head>
+<body>
+${figures.join('\n')}
+</body>
+</html>
+`;
+};
+
+/**
+ * Writes contact sheet of CAPTCHAs generated into directory.
+ * @param {String} dir directory of generated CAPTCHAs
+ * @param {Object} flags parsed options
+ */
+const preview = (dir, flags) => {
+    if (!dir)
+        throw new Error('Directory of generated CAPTCHAs is required!');
+    const entries = readManifest(dir),
+        out = flags.out ? resolve(String(flags.out)) : join(dir, 'preview.html');
+    fs.writeFileSync(out, contactSheet(entries, relative(dirname(out), resolve(dir))));
+    console.log(`Contact sheet of ${entries.length} CAPTCHAs written to ${out}`);
+};
+
+const main = async argv => {
+    const {command, positional, flags} = parseArgs(argv);
+    if (!command || flags.help || command === 'help') {
+        console.log(USAGE);
+        return;
+    }
+    if (command === 'generate')
+        return generate(flags);
+    if (command === 'preview')
+        return preview(positional[0], flags);
+    throw new Error(`Unknown command ${command}!`);
+};
+
+if (require.main === module)
+    main(process.argv.slice(2)).catch(err => {
+        console.error(err.message || err);
+        process.exitCode = 1;
+    });
+
+module.exports = {parseArgs, genOptsOf, generateParallel, contactSheet, main};
\ No newline at end of file
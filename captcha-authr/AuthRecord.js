@@ -1,3 +1,17 @@
+const {Readable} = require('stream');
+const challengers = require('./challengers');
+const answers = require('./answers');
+
+// CAPTCHAs whose image came as a stream, it is kept as buffer and streamed again for every challenge
+const streamed = new WeakSet();
+
+const _buffer = async stream => {
+    const chunks = [];
+    for await (const chunk of stream)
+        chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+};
+
 /**
  * Class that represents subject's authentication record.
  * @class AuthRecord
@@ -15,15 +29,71 @@ class AuthRecord {
         this.lastLimitTime = 0;
         this.lastDownloadTime = Date.now();
         this.lastAuthTime = 0;
+        this.tooFastCount = 0;
         this.authPreferences = authPreferences;
         this.customChecker = authPreferences.customChecker;
         this.customChallenger = authPreferences.customChallenger;
 
         if (!this.customChecker)
-            this.customChecker = (ans1, ans2) => String(ans1).toLowerCase().split('').sort().join('')
-                === String(ans2).toLowerCase().split('').sort().join('');
+            this.customChecker = (ans1, ans2) => answers.normalize(ans1, this.captcha.choices)
+                === answers.normalize(ans2, this.captcha.choices);
         if (!this.customChallenger)
-            this.customChallenger = (captcha) => (captcha.data);
+            this.customChallenger = challengers.image;
+        else if (typeof this.customChallenger === 'string')
+            this.customChallenger = challengers[this.customChallenger];
+    }
+
+    /**
+     * Converts the record to plain JSON for a store. The CAPTCHA keeps its answer, choices and option areas but not
+     * the image, text or description.
+     * @returns {Object} serialisable record
+     */
+    toJSON() {
+        const captcha = this.captcha && {
+            choices: this.captcha.choices,
+            answer: this.captcha.answer,
+            difficulty: this.captcha.difficulty,
+            type: this.captcha.type,
+            seed: this.captcha.seed,
+            areas: this.captcha.areas
+        };
+        return {
+            authd: this._authd,
+            wrong: this._wrong,
+            correct: this._correct,
+            lastLimitTime: this.lastLimitTime,
+            lastDownloadTime: this.lastDownloadTime,
+            lastAuthTime: this.lastAuthTime,
+            tooFastCount: this.tooFastCount,
+            captcha
+        };
+    }
+
+    /**
+     * Restores record converted by {@link AuthRecord#toJSON}.
+     * @param {Object} json serialised record
+     * @param {Object} authPreferences provided by {@link CaptchaAuthr}
+     * @returns {AuthRecord} restored record
+     */
+    static fromJSON(json, authPreferences) {
+        const record = new AuthRecord(authPreferences);
+        record._authd = json.authd;
+        record._wrong = json.wrong;
+        record._correct = json.correct;
+        record.lastLimitTime = json.lastLimitTime;
+        record.lastDownloadTime = json.lastDownloadTime;
+        record.lastAuthTime = json.lastAuthTime;
+        record.tooFastCount = json.tooFastCount;
+        record.captcha = json.captcha;
+        return record;
+    }
+
+    /**
+     * Checks whether the challenge of current CAPTCHA can be shown. Restored records have no image.
+     * @returns {Boolean} whether the CAPTCHA has its image
+     */
+    hasChallenge() {
+        return Boolean(this.captcha) && this.captcha.data !== undefined;
     }
 
     /**
@@ -84,31 +154,57 @@ class AuthRecord {
     }
 
     /**
-     * Retrieves CAPTCHA from the specified CAPTCHA provider.
+     * Retrieves CAPTCHA from the specified CAPTCHA provider. Image streams are read into buffer, so the challenge can
+     * be requested more than once.
      * @async
      * @returns {Promise<void>}
      */
     async genCaptcha() {
-        this.captcha = await this.authPreferences.provider.popCaptcha();
+        const difficulty = this.escalatedDifficulty();
+        const captcha = await this.authPreferences.provider.popCaptcha(difficulty !== undefined ? {difficulty} : {});
+        if (captcha.data instanceof Readable) {
+            captcha.data = await _buffer(captcha.data);
+            streamed.add(captcha);
+        }
+        this.captcha = captcha;
         this.lastDownloadTime = Date.now();
     }
 
     /**
-     * Checks whether the answer is correct. If provided, custom checker is used.
-     * @param {String} ans the provided answer
+     * Decides difficulty of the next CAPTCHA. With escalation enabled, subjects who answered wrong or too fast get
+     * harder CAPTCHAs. If provided, custom escalation function is used.
+     * @returns {String|Number|undefined} difficulty or undefined for provider's default
+     */
+    escalatedDifficulty() {
+        const escalate = this.authPreferences.escalate;
+        if (typeof escalate === 'function')
+            return escalate(this.getInfo());
+        if (escalate && (this._wrong >= 1 || this.tooFastCount > 0))
+            return 'hard';
+    }
+
+    /**
+     * Checks whether the answer is correct. Clicks and tile indices are converted to letters of options first. If
+     * provided, custom checker is used.
+     * @param {String|Number|Object|Array<Number|Object>} ans the provided answer, see {@link answers.toLetters}
      * @returns {Boolean} whether the answer is correct
      */
     checkAnswer(ans) {
-        return this.customChecker ? this.customChecker(ans, this.captcha.answer) : this.captcha.answer == ans;
+        const letters = answers.toLetters(ans, this.captcha);
+        if (letters === null)
+            return false;
+        return this.customChecker ? this.customChecker(letters, this.captcha.answer) : this.captcha.answer == letters;
     }
 
     /**
      * Returns CAPTCHA challenge. Could be question/image/object of both. Default is captcha's question property.
-     * If provided, custom challenger is used.
+     * If provided, custom challenger is used. Image which came as a stream is a new stream on every call.
      * @returns {*}
      */
     getChallenge() {
-        return this.customChallenger ? this.customChallenger(this.captcha) : this.captcha.question;
+        const captcha = streamed.has(this.captcha)
+            ? Object.assign({}, this.captcha, {data: Readable.from([this.captcha.data])}) : this.captcha;
+        return this.customChallenger ? this.customChallenger(captcha) : captcha.question;
     }
 
     /**
@@ -147,7 +243,7 @@ class AuthRecord {
 
     /**
      * Gets record info.
-     * @return {{required: number, wrong: number, maxWrong: number, correct: number, resets: boolean, dropAfter: number, timeout: number, time: number, lastDownloadTime: number | *, lastLimitTime: number, onRegenWrong: number, lastAuthTime: number}}
+     * @return {{required: number, wrong: number, maxWrong: number, correct: number, resets: boolean, dropAfter: number, timeout: number, time: number, lastDownloadTime: number | *, lastLimitTime: number, onRegenWrong: number, lastAuthTime: number, tooFastCount: number}}
      */
     getInfo() {
         return {
@@ -162,7 +258,8 @@ class AuthRecord {
             lastDownloadTime: this.lastDownloadTime,
             lastLimitTime: this.lastLimitTime,
             onRegenWrong: this.authPreferences.onRegenWrong,
-            lastAuthTime: this.lastAuthTime
+            lastAuthTime: this.lastAuthTime,
+            tooFastCount: this.tooFastCount
         };
     }
 }
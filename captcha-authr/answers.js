@@ -0,0 +1,48 @@
+/**
+ * Conversion of answers to labels of options. Clicks are hit tested against option tile rectangles the generator laid
+ * out, so the subject does not need to read the labels at all. Typed answers are split to labels of the CAPTCHA, so
+ * multi-character labels work too.
+ */
+
+const {joinLabels, splitLabels} = require('../labels');
+
+/**
+ * Finds option tile containing the point.
+ * @param {{x: Number, y: Number}} point point in image pixels
+ * @param {Array<{letter: String, x: Number, y: Number, width: Number, height: Number}>} areas option tile rectangles
+ * @returns {Object|undefined} hit option tile rectangle
+ */
+const hitTest = (point, areas = []) => areas.find(area => point.x >= area.x && point.x < area.x + area.width &&
+    point.y >= area.y && point.y < area.y + area.height);
+
+/**
+ * Converts answer to labels of options. Answer can be string of labels, index of option tile, click point or array
+ * of indices and points. Tiles picked more than once count once.
+ * @param {String|Number|Object|Array<Number|Object>} ans subject's answer
+ * @param {{choices: Array, areas: Array}} captcha the CAPTCHA being answered
+ * @returns {String|null} labels of picked options or null if any click missed the options
+ */
+const toLetters = (ans, captcha) => {
+    if (typeof ans === 'string')
+        return ans;
+    const picks = Array.isArray(ans) ? ans : [ans];
+    const letters = picks.map(pick => {
+        if (Number.isInteger(pick))
+            return captcha.areas ? (captcha.areas[pick] || {}).letter : captcha.choices[pick];
+        if (pick && typeof pick.x === 'number' && typeof pick.y === 'number')
+            return (hitTest(pick, captcha.areas) || {}).letter;
+    });
+    if (!letters.length || letters.some(letter => letter === undefined))
+        return null;
+    return joinLabels([...new Set(letters)]);
+};
+
+/**
+ * Normalizes answer to sorted labels so any order, case and separators are accepted.
+ * @param {String} ans typed answer
+ * @param {Array<String>} [labels] labels of the CAPTCHA options
+ * @returns {String} normalized answer
+ */
+const normalize = (ans, labels) => splitLabels(ans, labels).sort().join(' ');
+
+module.exports = {hitTest, toLetters, splitLabels, normalize};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * Built-in CAPTCHA challengers. A challenger turns the CAPTCHA into the challenge the subject receives. Any of them can
+ * be selected by its name as authPreferences.customChallenger of {@link CaptchaAuthr}.
+ */
+const challengers = {
+    /**
+     * Image of the puzzle. Default challenger.
+     * @param {Object} captcha CAPTCHA provided by the provider
+     * @returns {*} image data
+     */
+    image: captcha => (captcha.data),
+    /**
+     * Text version of the puzzle for screen-reader users. Requires CAPTCHAs created with accessible generator option.
+     * @param {Object} captcha CAPTCHA provided by the provider
+     * @returns {String} text of the puzzle
+     */
+    text: captcha => {
+        if (typeof captcha.text !== 'string')
+            throw new Error('CAPTCHA has no text version! Enable accessible generator option.');
+        return captcha.text;
+    },
+    /**
+     * Both image and text version of the puzzle so the frontend can offer either of them.
+     * @param {Object} captcha CAPTCHA provided by the provider
+     * @returns {{image: *, text: String}}
+     */
+    both: captcha => ({image: challengers.image(captcha), text: challengers.text(captcha)}),
+    /**
+     * Image of the puzzle with rectangles of option tiles so the frontend can highlight clicked options.
+     * @param {Object} captcha CAPTCHA provided by the provider
+     * @returns {{image: *, areas: Array}}
+     */
+    clickable: captcha => {
+        if (!Array.isArray(captcha.areas))
+            throw new Error('CAPTCHA has no option areas!');
+        return {image: challengers.image(captcha), areas: captcha.areas};
+    }
+};
+
+module.exports = challengers;
\ No newline at end of file
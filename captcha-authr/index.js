@@ -1,7 +1,13 @@
+const EventEmitter = require('events');
 const AuthRecord = require('./AuthRecord');
-class CaptchaAuthr {
+const challengers = require('./challengers');
+const messages = require('./messages');
+const stores = require('./stores');
+const tokens = require('./tokens');
+class CaptchaAuthr extends EventEmitter {
     /**
-     * Class for user authenticity verification with internal CAPTCHA generation using specified provider.
+     * Class for user authenticity verification with internal CAPTCHA generation using specified provider. Emits events
+     * 'attempt', 'success', 'wrong', 'limited', 'tooFast', 'timeout' and 'expired' with subject's id and record info.
      * @param {CaptchaMgr} provider object with async CAPTCHA provider function popCaptcha
      * @param {Object} authPreferences authentication preferences
      * @param {number} [authPreferences.maxWrong] the count of maximum allowed incorrect attempts before the subject needs to wait. Default 3
@@ -13,12 +19,35 @@ class CaptchaAuthr {
      * @param {number} [authPreferences.wrongOnTooLong] the value that adds up to wrong count when a subject takes too long. Default 0.5
      * @param {number} [authPreferences.tooFast] the time in milliseconds we consider too fast to be genuine answer. Default 1000
      * @param {number} [authPreferences.authTimeout] the time in milliseconds authentication expires. Default 1000*60*30
+     * @param {function|string} [authPreferences.customChallenger] function creating challenge from CAPTCHA or name of
+     * built-in challenger: 'image', 'text', 'both' or 'clickable'. Default 'image'
+     * @param {function} [authPreferences.customChecker] function comparing subject's answer with the correct one
+     * @param {boolean|function} [authPreferences.escalate] whether subjects who answered wrong or too fast should get
+     * 'hard' CAPTCHAs, or function accepting record info and returning difficulty. Default false
+     * @param {string} [authPreferences.locale] locale of state messages, 'en', 'de' or 'es'. Default 'en'
+     * @param {object} [authPreferences.messages] custom message bundles by locale, merged over built-in ones
+     * @param {object} [authPreferences.store] store of auth records with synchronous get, set, delete and scan
+     * methods, see {@link CaptchaAuthr.stores}. Default new in-memory store
+     * @param {string|Buffer} [authPreferences.tokenSecret] secret key enabling stateless mode. Records are carried by
+     * encrypted tokens the client returns with each answer instead of the store. Has to be the same on all servers
+     * @param {number} [authPreferences.nonceCacheSize] the count of used token nonces remembered to prevent replays.
+     * Default 100000
      */
     constructor(provider, authPreferences = {}) {
+        super();
         if (!provider || typeof provider.popCaptcha !== 'function' ) {
             throw new Error('Invalid CAPTCHA provider!');
         }
-        this.map = new Map();
+        if (typeof authPreferences.customChallenger === 'string' &&
+            !challengers.hasOwnProperty(authPreferences.customChallenger)) {
+            throw new Error(`Unknown challenger ${authPreferences.customChallenger}!`);
+        }
+        if (authPreferences.tokenSecret !== undefined) {
+            if (Buffer.byteLength(authPreferences.tokenSecret) < 16)
+                throw new Error('Token secret must have at least 16 bytes!');
+            if (authPreferences.customChecker)
+                throw new Error('Custom checker can not be used with tokens!');
+        }
         this.lastOldCheck = Date.now();
         this.authPreferences =
             {
@@ -31,12 +60,43 @@ class CaptchaAuthr {
                 onRegenWrong: .5,
                 wrongOnTooLong: .5,
                 tooFast: 1 * 1000,
-                authTimeout: 1000 * 60 * 30
+                authTimeout: 1000 * 60 * 30,
+                escalate: false,
+                locale: 'en',
+                messages: {},
+                nonceCacheSize: 100000
             };
         Object.assign(this.authPreferences, authPreferences);
+        this.store = this.authPreferences.store || new stores.MemoryStore();
+        this._captchas = new Map(); // CAPTCHAs with images generated by this process, stores keep no images
+        this._locks = new Map(); // last pending attempt of every subject
+        if (this.authPreferences.tokenSecret !== undefined)
+            this.nonces = new tokens.NonceCache(this.authPreferences.nonceCacheSize);
 
-        this.getRecord = id => (this.map.get(id));
+        this.getRecord = (id, token) => {
+            if (this.nonces) {
+                const payload = this._readToken(id, token);
+                return payload && this._tokenRecord(payload);
+            }
+            const json = this.store.get(id);
+            if (!json)
+                return undefined;
+            const record = AuthRecord.fromJSON(json, this.authPreferences),
+                captcha = this._captchas.get(id);
+            if (captcha && record.captcha && captcha.seed === record.captcha.seed &&
+                captcha.answer === record.captcha.answer)
+                record.captcha = captcha;
+            return record;
+        };
+        this._saveRecord = (id, record) => {
+            // records outlive their authentication, so its expiry is noticed
+            this.store.set(id, record.toJSON(), 2 * this.authPreferences.authTimeout);
+            if (record.authd)
+                this._captchas.delete(id);
+            else this._captchas.set(id, record.captcha);
+        };
         this._regenRequested = ans => (ans == 'regen');
+        this._emitRecord = (event, id, record) => this.emit(event, {id, info: record.getInfo()});
         this._genReturnValue = (record, state, withQ) => {
             const c = {
                 state: state,
@@ -60,40 +120,128 @@ class CaptchaAuthr {
     /**
      * Checks whether the subject with provided id is authenticated.
      * @param {String} id subject's unique id
+     * @param {String} [token] subject's token in stateless mode
      * @returns {Boolean} whether the subject is authenticated
      */
-    isAuthd(id) {
-        const record = this.getRecord(id);
+    isAuthd(id, token) {
+        const record = this.getRecord(id, token);
         return record && record.authd && !record.expired();
     }
 
     /**
-     * Deauthenticates subject with provided id.
+     * Deauthenticates subject with provided id. In stateless mode the token is revoked only on this server.
      * @param {String} id subject's unique id
+     * @param {String} [token] subject's token in stateless mode
      */
-    deAuth(id) {
-        this.map.delete(id);
+    deAuth(id, token) {
+        const payload = this.nonces && this._readToken(id, token);
+        payload && this.nonces.add(payload.nonce, payload.exp);
+        this.store.delete(id);
+        this._captchas.delete(id);
     }
 
     /**
      * Deauthenticates subject with provided id and generates new CAPTCHA for the subject.
      * @async
      * @param {String} id subject's unique id
+     * @param {Object} [authOpts] options, see {@link tryAuth}
      * @returns {Promise<{captcha}>} authentication state
      */
-    async deAuthAndGenNew(id) {
-        const r = new AuthRecord(this.authPreferences);
-        await r.genCaptcha();
-        this.map.set(id, r);
-        return this._genReturnValue(r, 'new', true);
+    async deAuthAndGenNew(id, authOpts = {}) {
+        const stateVal = await this._exclusive(id, async () => {
+            this.deAuth(id, authOpts.token);
+            const r = new AuthRecord(this.authPreferences);
+            await r.genCaptcha();
+            const stateVal = this._genReturnValue(r, 'new', true);
+            if (this.nonces)
+                stateVal.captcha.token = this._issueToken(id, r, false);
+            else this._saveRecord(id, r);
+            return stateVal;
+        });
+        return this._withMessage(stateVal, authOpts.locale);
+    }
+
+    /**
+     * Runs task after all pending tasks of the subject finished. Records are read, changed while new CAPTCHA is
+     * awaited and saved, so concurrent attempts of one subject would overwrite each other's counts otherwise.
+     * @param {String} id subject's unique id
+     * @param {function(): Promise} task the task
+     * @returns {Promise} result of the task
+     */
+    _exclusive(id, task) {
+        const result = (this._locks.get(id) || Promise.resolve()).then(task),
+            settled = result.catch(() => undefined);
+        this._locks.set(id, settled);
+        settled.then(() => this._locks.get(id) === settled && this._locks.delete(id));
+        return result;
+    }
+
+    /**
+     * Verifies subject's token. Tokens of other subjects, with invalid signature or already used are rejected.
+     * @param {String} id subject's unique id
+     * @param {String} token subject's token
+     * @returns {Object|undefined} token payload or undefined if rejected
+     */
+    _readToken(id, token) {
+        const payload = token ? tokens.unseal(token, this.authPreferences.tokenSecret) : undefined;
+        if (payload && payload.sub === tokens.subject(id, this.authPreferences.tokenSecret) &&
+            !this.nonces.has(payload.nonce))
+            return payload;
+    }
+
+    /**
+     * Restores record from token payload. Answers are checked against hashed answer the token carries.
+     * @param {Object} payload token payload
+     * @returns {AuthRecord} restored record
+     */
+    _tokenRecord(payload) {
+        const record = AuthRecord.fromJSON(payload.record, this.authPreferences);
+        record.customChecker = (ans, hashed) => tokens.checkAnswer(ans, hashed, record.captcha.choices,
+            this.authPreferences.tokenSecret);
+        return record;
+    }
+
+    /**
+     * Issues sealed token carrying the record. The seed of the CAPTCHA is left out, so it can not be recreated.
+     * @param {String} id subject's unique id
+     * @param {AuthRecord} record the record
+     * @param {Boolean} hashed whether answer of record's CAPTCHA is already hashed
+     * @returns {String} token
+     */
+    _issueToken(id, record, hashed) {
+        const secret = this.authPreferences.tokenSecret,
+            json = record.toJSON();
+        if (!hashed)
+            json.captcha.answer = tokens.hashAnswer(json.captcha.answer, json.captcha.choices, secret);
+        delete json.captcha.seed;
+        return tokens.seal({
+            sub: tokens.subject(id, secret),
+            nonce: tokens.createNonce(),
+            exp: (record.authd ? record.lastAuthTime : Date.now()) + this.authPreferences.authTimeout,
+            record: json
+        }, secret);
+    }
+
+    /**
+     * Adds localised message to authentication state.
+     * @param {Object} stateVal authentication state
+     * @param {String|Array<String>} [locale] requested locales. Defaults to locale preference
+     * @returns {Object} the state with message
+     */
+    _withMessage(stateVal, locale = this.authPreferences.locale) {
+        const c = stateVal.captcha;
+        c.message = messages.createMessage(c.state, c.info, locale, this.authPreferences.messages);
+        return stateVal;
     }
 
     async _handleRegen(rec, id) {
         if (rec) {
             rec.wrong += this.authPreferences.onRegenWrong;
             rec.tryDroppingWrong();
-            if (rec.isLimited())
+            if (rec.isLimited()) {
+                this._emitRecord('limited', id, rec);
                 return this._genReturnValue(rec, 'limit');
+            }
             await rec.genCaptcha();
             return this._genReturnValue(rec, 'new', true);
         }
@@ -104,12 +252,14 @@ class CaptchaAuthr {
         if (!rec) {
             rec = new AuthRecord(this.authPreferences);
             await rec.genCaptcha();
-            this.map.set(id, rec);
+            this._saveRecord(id, rec);
         }else if(rec.isLimited()){
             rec.tryDroppingWrong();
             if(!rec.isLimited())
                 await rec.genCaptcha();
         }
+        if (!rec.hasChallenge()) // record restored from the store has no image
+            await rec.genCaptcha();
         return this._genReturnValue(rec, 'new', true);
     }
 
@@ -129,14 +279,23 @@ class CaptchaAuthr {
             }
             if (rec.tookTooLong()) {
                 rec.wrong += this.authPreferences.wrongOnTooLong;
-                if (rec.isLimited())
+                this._emitRecord('timeout', id, rec);
+                if (rec.isLimited()) {
+                    this._emitRecord('limited', id, rec);
                     return this._genReturnValue(rec, 'limit');
+                }
                 await rec.genCaptcha();
                 return this._genReturnValue(rec, 'timeout', true);
             }
-            if (rec.checkAnswer(ans) && !rec.wasTooFast()) {
+            const tooFast = rec.wasTooFast();
+            if (tooFast) {
+                rec.tooFastCount++;
+                this._emitRecord('tooFast', id, rec);
+            }
+            if (rec.checkAnswer(ans) && !tooFast) {
                 rec.correct++;
                 if (rec.authd) {
+                    this._emitRecord('success', id, rec);
                     return this._genReturnValue(rec, 'success');
                 } else {
                     await rec.genCaptcha();
@@ -146,9 +305,11 @@ class CaptchaAuthr {
                 rec.wrong++;
                 if (this.authPreferences.resetOnWrong)
                     rec.correct = 0;
-                if (rec.isLimited())
+                this._emitRecord('wrong', id, rec);
+                if (rec.isLimited()) {
+                    this._emitRecord('limited', id, rec);
                     return this._genReturnValue(rec, 'limit');
-                else {
+                } else {
                     await rec.genCaptcha();
                     return this._genReturnValue(rec, 'wrong', true);
                 }
@@ -159,29 +320,80 @@ class CaptchaAuthr {
     /**
      * Tries to authenticate the subject with provided answer. Returns current authentication record if provided
      * answer is falsy or sets up a new record if it is missing. Changes record's correct or incorrect answer count
-     * or other information if needed.
+     * or other information if needed. Attempts of one subject are handled one after another.
      * @async
      * @param {String} id subject's unique id
-     * @param {String} ans subject's answer
+     * @param {String|Number|Object|Array<Number|Object>} ans subject's answer. Letters of options, indices of option
+     * tiles or click points {x, y} in image pixels
+     * @param {Object} [authOpts] options of this attempt
+     * @param {String|Array<String>} [authOpts.locale] requested locales of the message, e.g. value of Accept-Language
+     * header. Defaults to locale preference
+     * @param {String} [authOpts.token] token returned by previous attempt in stateless mode
      * @returns {Promise<{Object}>} object with 'captcha' as an attribute of object with attributes 'challenge',
-     * 'state' & 'path'
+     * 'state', 'info', 'message' & 'token' in stateless mode
      */
-    async tryAuth(id, ans) {
+    async tryAuth(id, ans, authOpts = {}) {
+        const stateVal = this.nonces ? await this._tryAuthToken(id, ans, authOpts.token)
+            : await this._exclusive(id, () => this._tryAuth(id, ans));
+        this.emit('attempt', {id, state: stateVal.captcha.state, info: stateVal.captcha.info});
+        return this._withMessage(stateVal, authOpts.locale);
+    }
+
+    async _tryAuthToken(id, ans, token) {
+        try {
+            const payload = this._readToken(id, token);
+            if (token && !payload)
+                throw new Error('Invalid or used token!');
+            let rec = payload && this._tokenRecord(payload);
+            if (rec && (rec.expired() || payload.exp < Date.now())) {
+                rec.authd && this._emitRecord('expired', id, rec);
+                rec = null;
+            }
+            if (rec && rec.authd) {
+                const stateVal = this._genReturnValue(rec, 'success');
+                stateVal.captcha.token = token;
+                return stateVal;
+            }
+            payload && this.nonces.add(payload.nonce, payload.exp); // every other use of the token is its last
+            const restored = rec && rec.captcha;
+            let stateVal;
+            if (!rec) {
+                rec = new AuthRecord(this.authPreferences);
+                await rec.genCaptcha();
+                stateVal = this._genReturnValue(rec, 'new', true);
+            } else if (this._regenRequested(ans))
+                stateVal = await this._handleRegen(rec, id);
+            else if (!ans && ans !== 0)
+                stateVal = await this._handleNew(rec, id);
+            else stateVal = await this._handleAnswer(rec, id, ans);
+            stateVal.captcha.token = this._issueToken(id, rec, rec.captcha === restored);
+            return stateVal;
+        } catch (err) {
+            return {captcha: {state: 'error'}}
+        }
+    }
+
+    async _tryAuth(id, ans) {
         this._delOld();
         try {
             let rec = this.getRecord(id);
             if (rec && rec.expired()) {
+                this._emitRecord('expired', id, rec);
                 this.deAuth(id);
                 rec = null;
             }
             if (rec && rec.authd) {
                 return this._genReturnValue(rec, 'success');
             }
+            let stateVal;
             if (this._regenRequested(ans))
-                return await this._handleRegen(this.getRecord(id), id);
-            if (!ans)
-                return await this._handleNew(this.getRecord(id), id);
-            else return await this._handleAnswer(this.getRecord(id), id, ans);//body.captcha.answer
+                stateVal = await this._handleRegen(rec, id);
+            else if (!ans && ans !== 0) // tile index 0 is an answer too
+                stateVal = await this._handleNew(rec, id);
+            else stateVal = await this._handleAnswer(rec, id, ans);//body.captcha.answer
+            if (rec)
+                this._saveRecord(id, rec);
+            return stateVal;
         } catch (err) {
             return {captcha: {state: 'error'}}
         }
@@ -190,19 +402,30 @@ class CaptchaAuthr {
     _delOld() {
         if (Date.now() - this.lastOldCheck > this.authPreferences.authTimeout) {
             this.lastOldCheck = Date.now();
-            const mapIter = this.map.entries(),
-                toDelete = [];
-            let entry;
-            do {
-                entry = mapIter.next();
-                if (entry.value && entry.value[1].expired()) // if auth record expired
-                    toDelete.push(entry.value[0]); // if yes push his key to array
-            } while (!entry.done);
+            const toDelete = this.store.scan() // expired auth records
+                .map(([key, json]) => [key, AuthRecord.fromJSON(json, this.authPreferences)])
+                .filter(([, record]) => record.expired());
 
             // then deauth every record of key
-            toDelete.forEach(k => this.deAuth(k));
+            toDelete.forEach(([k, record]) => {
+                this._emitRecord('expired', k, record);
+                this.deAuth(k);
+            });
+            // and forget images of records the store dropped
+            const live = new Set(this.store.scan().map(([key]) => key));
+            [...this._captchas.keys()].filter(k => !live.has(k)).forEach(k => this._captchas.delete(k));
         }
     }
 }
 
+/**
+ * Built-in challengers which can be selected by name as authPreferences.customChallenger.
+ */
+CaptchaAuthr.challengers = challengers;
+
+/**
+ * Built-in stores of auth records which can be used as authPreferences.store: MemoryStore and FileStore.
+ */
+CaptchaAuthr.stores = stores;
+
 module.exports = CaptchaAuthr;
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Localised messages of authentication states. A message is ready to be shown to the subject and contains computed
+ * values such as answers remaining or seconds until the subject can retry.
+ */
+
+/**
+ * Built-in locale bundles. Every bundle has a message for every state. Messages are functions of computed values, see
+ * {@link messageValues}.
+ *  @constant
+ */
+const BUNDLES = {
+    en: {
+        new: v => 'Pick what could replace the question mark.' +
+            (v.remaining > 1 ? ` ${v.remaining} puzzles to solve.` : ''),
+        more: v => `Correct! ${v.remaining} more ${v.remaining === 1 ? 'puzzle' : 'puzzles'} to solve.`,
+        wrong: v => `Wrong answer, try this one. ${v.attemptsLeft} ${v.attemptsLeft === 1 ? 'attempt' : 'attempts'} ` +
+            'left.',
+        timeout: v => `Time is up, try this one. You have ${v.answerTime} seconds for an answer.`,
+        limit: v => `Too many wrong answers. Try again in ${v.retryIn} ${v.retryIn === 1 ? 'second' : 'seconds'}.`,
+        success: () => 'You are verified.',
+        error: () => 'Something went wrong. Please try again.'
+    },
+    de: {
+        new: v => 'Wähle, was das Fragezeichen ersetzen kann.' +
+            (v.remaining > 1 ? ` Noch ${v.remaining} Rätsel zu lösen.` : ''),
+        more: v => `Richtig! Noch ${v.remaining} Rätsel zu lösen.`,
+        wrong: v => `Falsche Antwort, versuche dieses. Noch ${v.attemptsLeft} ` +
+            `${v.attemptsLeft === 1 ? 'Versuch' : 'Versuche'}.`,
+        timeout: v => `Die Zeit ist abgelaufen, versuche dieses. Du hast ${v.answerTime} Sekunden für eine Antwort.`,
+        limit: v => `Zu viele falsche Antworten. Versuche es in ${v.retryIn} ` +
+            `${v.retryIn === 1 ? 'Sekunde' : 'Sekunden'} erneut.`,
+        success: () => 'Du bist verifiziert.',
+        error: () => 'Etwas ist schiefgelaufen. Bitte versuche es erneut.'
+    },
+    es: {
+        new: v => 'Elige lo que puede reemplazar el signo de interrogación.' +
+            (v.remaining > 1 ? ` Quedan ${v.remaining} acertijos por resolver.` : ''),
+        more: v => `¡Correcto! ${v.remaining === 1 ? 'Queda 1 acertijo' : `Quedan ${v.remaining} acertijos`} por ` +
+            'resolver.',
+        wrong: v => 'Respuesta incorrecta, prueba con este. ' +
+            `${v.attemptsLeft === 1 ? 'Queda 1 intento' : `Quedan ${v.attemptsLeft} intentos`}.`,
+        timeout: v => `Se acabó el tiempo, prueba con este. Tienes ${v.answerTime} segundos para responder.`,
+        limit: v => 'Demasiadas respuestas incorrectas. Inténtalo de nuevo en ' +
+            `${v.retryIn === 1 ? '1 segundo' : `${v.retryIn} segundos`}.`,
+        success: () => 'Verificación completada.',
+        error: () => 'Algo salió mal. Inténtalo de nuevo.'
+    }
+};
+/**
+ * Locale used when none of requested locales is available.
+ *  @constant
+ */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Computes values of messages from record info.
+ * @param {Object} [info] record info, see {@link AuthRecord#getInfo}
+ * @returns {{remaining: Number, attemptsLeft: Number, retryIn: Number, answerTime: Number}} answers remaining to
+ * authenticate, wrong answers left before the subject has to wait, seconds until the subject can retry and seconds
+ * the subject has for one answer
+ */
+const messageValues = (info = {}) => {
+    const values = {};
+    if (info.required !== undefined)
+        values.remaining = Math.max(0, info.required - info.correct);
+    if (info.maxWrong !== undefined)
+        values.attemptsLeft = Math.max(0, Math.floor(info.maxWrong - info.wrong) + 1);
+    if (info.dropAfter !== undefined)
+        values.retryIn = Math.max(0, Math.ceil((info.lastLimitTime + info.dropAfter - info.time) / 1000));
+    if (info.timeout !== undefined)
+        values.answerTime = Math.ceil(info.timeout / 1000);
+    return values;
+};
+
+/**
+ * Picks the best available locale. Accepts list of locales or value of Accept-Language header, e.g.
+ * 'de-AT,de;q=0.9,en;q=0.8'. Regional locales fall back to their language.
+ * @param {String|Array<String>} [requested] requested locales in order of preference
+ * @param {Array<String>} available available locales
+ * @returns {String} picked locale
+ */
+const pickLocale = (requested, available) => {
+    const list = Array.isArray(requested) ? requested.map(locale => ({locale, q: 1}))
+        : String(requested || '').split(',').map(part => {
+            const [locale, ...params] = part.trim().split(';');
+            const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+            return {locale: locale.trim(), q: q ? Number(q[1]) : 1};
+        });
+    const preferred = list.filter(item => item.locale && item.q > 0)
+        .sort((item1, item2) => item2.q - item1.q)
+        .map(item => item.locale.toLowerCase());
+    for (let locale of preferred) {
+        const found = available.find(avail => avail.toLowerCase() === locale) ||
+            available.find(avail => avail.toLowerCase() === locale.split('-')[0]);
+        if (found)
+            return found;
+    }
+    return available.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : available[0];
+};
+
+/**
+ * Creates localised message of authentication state. Custom messages can be strings with {value} placeholders or
+ * functions of computed values.
+ * @param {String} state authentication state
+ * @param {Object} [info] record info
+ * @param {String|Array<String>} [locale] requested locales or Accept-Language header value
+ * @param {Object} [custom] custom bundles by locale, merged over built-in ones
+ * @returns {{text: String, locale: String, values: Object}} message
+ */
+const createMessage = (state, info, locale, custom = {}) => {
+    const bundles = Object.assign({}, BUNDLES);
+    Object.keys(custom).forEach(key => (bundles[key] = Object.assign({}, bundles[key], custom[key])));
+    const picked = pickLocale(locale, Object.keys(bundles)),
+        values = messageValues(info),
+        template = bundles[picked][state] || BUNDLES[DEFAULT_LOCALE][state];
+    const text = typeof template === 'function' ? template(values)
+        : String(template).replace(/{(\w+)}/g, (match, key) => (values.hasOwnProperty(key) ? values[key] : match));
+    return {text, locale: picked, values};
+};
+
+module.exports = {BUNDLES, messageValues, pickLocale, createMessage};
\ No newline at end of file
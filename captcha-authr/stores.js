@@ -0,0 +1,113 @@
+const fs = require('fs');
+const {join} = require('path');
+const {createHash} = require('crypto');
+
+/**
+ * Built-in stores of auth records. A store keeps plain JSON values by keys and has these synchronous methods:
+ * get(key) returning the value or undefined if missing or expired, set(key, value, ttl) storing the value for ttl
+ * milliseconds, delete(key) and scan() returning array of [key, value] pairs of all values which have not expired.
+ * Any of them can be used as authPreferences.store of {@link CaptchaAuthr}.
+ */
+
+const _expires = ttl => (ttl ? Date.now() + ttl : null);
+const _expired = entry => entry.expires !== null && Date.now() > entry.expires;
+
+/**
+ * Store keeping values in memory of the process. Default store.
+ * @class MemoryStore
+ */
+class MemoryStore {
+    constructor() {
+        this._map = new Map();
+    }
+
+    get(key) {
+        const entry = this._map.get(key);
+        if (entry && _expired(entry)) {
+            this._map.delete(key);
+            return undefined;
+        }
+        return entry && entry.value;
+    }
+
+    set(key, value, ttl) {
+        this._map.set(key, {value, expires: _expires(ttl)});
+    }
+
+    delete(key) {
+        this._map.delete(key);
+    }
+
+    scan() {
+        return [...this._map.keys()].map(key => [key, this.get(key)]).filter(([, value]) => value !== undefined);
+    }
+}
+
+/**
+ * Store keeping every value in its own JSON file in a directory. Values survive restarts and can be shared between
+ * processes on one host. Files are replaced atomically, so readers never see a partially written value.
+ * @class FileStore
+ */
+class FileStore {
+    /**
+     * @constructs FileStore
+     * @param {String} dir directory of the files. Created if missing
+     */
+    constructor(dir) {
+        if (!dir)
+            throw new Error('Directory of the file store is required!');
+        this.dir = dir;
+        fs.mkdirSync(dir, {recursive: true});
+    }
+
+    _file(key) {
+        return join(this.dir, createHash('sha256').update(String(key)).digest('hex') + '.json');
+    }
+
+    _read(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    _unlink(file) {
+        try {
+            fs.unlinkSync(file);
+        } catch (e) {
+            if (e.code !== 'ENOENT')
+                throw e;
+        }
+    }
+
+    get(key) {
+        const file = this._file(key), entry = this._read(file);
+        if (entry && _expired(entry)) {
+            this._unlink(file);
+            return undefined;
+        }
+        return entry && entry.value;
+    }
+
+    set(key, value, ttl) {
+        const file = this._file(key), tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({key, value, expires: _expires(ttl)}));
+        fs.renameSync(tmp, file);
+    }
+
+    delete(key) {
+        this._unlink(this._file(key));
+    }
+
+    scan() {
+        return fs.readdirSync(this.dir).filter(name => name.endsWith('.json')).map(name => {
+            const file = join(this.dir, name), entry = this._read(file);
+            if (entry && _expired(entry))
+                this._unlink(file);
+            return entry && !_expired(entry) ? [entry.key, entry.value] : undefined;
+        }).filter(Boolean);
+    }
+}
+
+module.exports = {MemoryStore, FileStore};
\ No newline at end of file
@@ -0,0 +1,127 @@
+const {createCipheriv, createDecipheriv, createHmac, randomBytes, timingSafeEqual} = require('crypto');
+const answers = require('./answers');
+
+/**
+ * Sealed tokens carrying auth records, so verification needs no shared storage. A token is base64url encoded JSON
+ * payload encrypted and authenticated by AES-256-GCM with a key derived from the secret, so clients can neither read
+ * nor change it. The payload carries subject hash, nonce, expiry time and the record with salted hash of the answer
+ * instead of the answer itself.
+ */
+
+const IV_LENGTH = 12, TAG_LENGTH = 16;
+
+const _base64url = buffer => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const _hmac = (secret, data) => createHmac('sha256', secret).update(data).digest();
+const _equal = (buffer1, buffer2) => buffer1.length === buffer2.length && timingSafeEqual(buffer1, buffer2);
+const _key = secret => _hmac(secret, 'kx-iqcaptcha token key');
+
+/**
+ * Hashes subject's id, so tokens are bound to the subject without revealing the id.
+ * @param {String} id subject's unique id
+ * @param {String|Buffer} secret secret key
+ * @returns {String} subject hash
+ */
+const subject = (id, secret) => _base64url(_hmac(secret, 'sub:' + id));
+
+/**
+ * Creates new random nonce.
+ * @returns {String} nonce
+ */
+const createNonce = () => _base64url(randomBytes(16));
+
+/**
+ * Encrypts and authenticates the payload.
+ * @param {Object} payload plain JSON payload
+ * @param {String|Buffer} secret secret key
+ * @returns {String} token
+ */
+const seal = (payload, secret) => {
+    const iv = randomBytes(IV_LENGTH),
+        cipher = createCipheriv('aes-256-gcm', _key(secret), iv),
+        encrypted = Buffer.concat([cipher.update(JSON.stringify(payload)), cipher.final()]);
+    return _base64url(Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+};
+
+/**
+ * Decrypts the token and verifies it was sealed with the secret.
+ * @param {String} token token created by {@link seal}
+ * @param {String|Buffer} secret secret key
+ * @returns {Object|undefined} payload or undefined if the token is malformed, tampered or sealed with other secret
+ */
+const unseal = (token, secret) => {
+    const buffer = Buffer.from(String(token).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    if (buffer.length <= IV_LENGTH + TAG_LENGTH)
+        return undefined;
+    try {
+        const decipher = createDecipheriv('aes-256-gcm', _key(secret), buffer.subarray(0, IV_LENGTH));
+        decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        return JSON.parse(Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()])
+            .toString());
+    } catch (e) {
+        return undefined;
+    }
+};
+
+/**
+ * Hashes the answer with random salt.
+ * @param {String} answer correct answer
+ * @param {Array<String>} labels labels of the CAPTCHA options
+ * @param {String|Buffer} secret secret key
+ * @returns {String} salt and hash separated by dot
+ */
+const hashAnswer = (answer, labels, secret) => {
+    const salt = createNonce();
+    return salt + '.' + _base64url(_hmac(secret, salt + ':' + answers.normalize(answer, labels)));
+};
+
+/**
+ * Checks the answer against hashed correct answer. Accepts any order, case and separators like the default checker.
+ * @param {String} answer subject's answer
+ * @param {String} hashed hashed correct answer created by {@link hashAnswer}
+ * @param {Array<String>} labels labels of the CAPTCHA options
+ * @param {String|Buffer} secret secret key
+ * @returns {Boolean} whether the answer is correct
+ */
+const checkAnswer = (answer, hashed, labels, secret) => {
+    const [salt, hash] = String(hashed).split('.');
+    return _equal(Buffer.from(String(hash)),
+        Buffer.from(_base64url(_hmac(secret, salt + ':' + answers.normalize(answer, labels)))));
+};
+
+/**
+ * Bounded cache of used nonces protecting tokens from replay. Nonces are kept until their tokens expire. When the
+ * cache is full, expired nonces are dropped first, then the oldest ones.
+ * @class NonceCache
+ */
+class NonceCache {
+    /**
+     * @constructs NonceCache
+     * @param {Number} maxSize maximum count of nonces kept
+     */
+    constructor(maxSize) {
+        if (!Number.isInteger(maxSize) || maxSize < 1)
+            throw new Error('Nonce cache size must be a positive integer!');
+        this.maxSize = maxSize;
+        this._map = new Map();
+    }
+
+    has(nonce) {
+        return this._map.has(nonce);
+    }
+
+    add(nonce, expires) {
+        if (this._map.size >= this.maxSize) {
+            const now = Date.now();
+            this._map.forEach((exp, key) => exp < now && this._map.delete(key));
+        }
+        if (this._map.size >= this.maxSize)
+            this._map.delete(this._map.keys().next().value);
+        this._map.set(nonce, expires);
+    }
+
+    get size() {
+        return this._map.size;
+    }
+}
+
+module.exports = {subject, createNonce, seal, unseal, hashAnswer, checkAnswer, NonceCache};
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * CAPTCHA difficulty levels and scoring
+ * @module difficulty
+ */
+
+'use strict';
+
+const Geo = require('./geometry');
+
+/**
+ * Named difficulty levels and their numeric values.
+ *  @constant
+ */
+const LEVELS = {easy: 0, normal: .5, hard: 1};
+/**
+ * Maximum number of layers.
+ *  @constant
+ */
+const MAX_LAYERS = 5;
+/**
+ * Range of number of options to choose from.
+ *  @constant
+ */
+const CHOICES_RANGE = [4, 15];
+/**
+ * Weights of difficulty score factors. They sum up to 1.
+ *  @constant
+ */
+const SCORE_WEIGHTS = {layers: .3, rotatePerLayer: .1, clockIters: .15, choices: .15, decoySimilarity: .3};
+
+const _factor = (value, min, max) => (Math.min(1, Math.max(0, (value - min) / (max - min))));
+const _mean = arr => (arr.length ? arr.reduce((sum, val) => sum + val, 0) / arr.length : 0);
+
+/**
+ * Converts difficulty level to generator settings.
+ * @param {String|Number} difficulty 'easy', 'normal', 'hard' or number in range [0, 1]
+ * @returns {{layers: Number, rotatePerLayer: Boolean, minClockIters: Number, maxClockIters: Number, choices: Number, decoySimilarity: Number}}
+ */
+const levelSettings = difficulty => {
+    const value = typeof difficulty === 'string' ? LEVELS[difficulty] : difficulty;
+    if (typeof value !== 'number' || !(value >= 0 && value <= 1))
+        throw new Error(`Invalid difficulty ${difficulty}!`);
+    return {
+        layers: 2 + Math.round(value * 2),
+        rotatePerLayer: value >= .3,
+        minClockIters: value < .75 ? 2 : 3,
+        maxClockIters: 4 + Math.round(value * 4),
+        choices: 6 + 2 * Math.round(value * 3),
+        decoySimilarity: .2 + .65 * value
+    };
+};
+
+/**
+ * Resolves settings of one CAPTCHA. Settings explicitly set in options take precedence over the difficulty level,
+ * missing ones are defaulted.
+ * @param {String|Number} [difficulty] difficulty level, see {@link levelSettings}
+ * @param {Object} [opts] generator options
+ * @param {Number} [opts.layers] number of layers. Default 3
+ * @param {Number} [opts.gridSize] number of rows and columns of the grid. Same as layers, which take precedence
+ * @param {Boolean} [opts.rotatePerLayer] whether every picture in group should be rotated. Default true
+ * @param {Number} [opts.minClockIters] minimum "clock placement" iterations. Default 2
+ * @param {Number} [opts.maxClockIters] maximum "clock placement" iterations. Default 6
+ * @param {Number} [opts.choices] number of options to choose from. Default 10
+ * @param {Number} [opts.answers] number of correct options. Default 2
+ * @param {Number} [opts.decoySimilarity] preferred similarity of wrong options to the correct one in range [0, 1].
+ * Wrong options are picked uniformly if not set
+ * @returns {{level: (String|Number|null), layers: Number, rotatePerLayer: Boolean, minClockIters: Number, maxClockIters: Number, choices: Number, decoySimilarity: (Number|undefined), answers: Number}}
+ */
+const resolveSettings = (difficulty, opts = {}) => {
+    const settings = Object.assign({
+        layers: Geo.LAYERS,
+        rotatePerLayer: Geo.ROTATE_PER_LAYER,
+        minClockIters: Geo.MIN_CLOCK_ITERS,
+        maxClockIters: Geo.MAX_CLOCK_ITERS,
+        choices: Geo.CHOICES,
+        decoySimilarity: undefined,
+        answers: Geo.ANSWERS
+    }, difficulty !== undefined && difficulty !== null ? levelSettings(difficulty) : {});
+    if (opts.gridSize !== undefined)
+        settings.layers = opts.gridSize;
+    Object.keys(settings).filter(key => opts[key] !== undefined).forEach(key => (settings[key] = opts[key]));
+    settings.level = difficulty !== undefined ? difficulty : null;
+
+    if (!Number.isInteger(settings.layers) || settings.layers < 2 || settings.layers > MAX_LAYERS)
+        throw new Error(`Grid size and number of layers must be an integer from 2 to ${MAX_LAYERS}!`);
+    if (!Number.isInteger(settings.choices) || settings.choices < CHOICES_RANGE[0] ||
+        settings.choices > CHOICES_RANGE[1])
+        throw new Error(`Number of choices must be an integer from ${CHOICES_RANGE[0]} to ${CHOICES_RANGE[1]}!`);
+    if (!Number.isInteger(settings.answers) || settings.answers < 1 || settings.answers >= settings.choices)
+        throw new Error('Number of correct options must be a positive integer less than number of choices!');
+    if (!(settings.minClockIters >= 2 && settings.maxClockIters > settings.minClockIters))
+        throw new Error('Clock iterations must be at least 2 and maximum must be greater than minimum!');
+    return settings;
+};
+
+/**
+ * Computes difficulty score of a CAPTCHA. The score is a weighted sum of factors in range [0, 1], see
+ * {@link SCORE_WEIGHTS}: number of layers, per layer rotation, mean clock iterations, number of choices and mean
+ * similarity of wrong options to the correct one.
+ * @param {Object} puzzle decided puzzle
+ * @param {Number} puzzle.layers number of layers
+ * @param {Boolean} puzzle.rotatePerLayer whether layers are rotated
+ * @param {Array<Number>} puzzle.clockIters iterations of clock layers
+ * @param {Number} puzzle.choices number of options
+ * @param {Array<Number>} puzzle.decoySimilarities similarities of wrong options
+ * @returns {Number} score from 0 (easiest) to 100 (hardest)
+ */
+const scoreDifficulty = puzzle => {
+    const factors = {
+        layers: _factor(puzzle.layers, 2, MAX_LAYERS),
+        rotatePerLayer: puzzle.rotatePerLayer ? 1 : 0,
+        clockIters: _mean(puzzle.clockIters.map(iters => _factor(iters, 2, 8))),
+        choices: _factor(puzzle.choices, 6, 12),
+        decoySimilarity: _mean(puzzle.decoySimilarities)
+    };
+    return Math.round(100 * Object.keys(SCORE_WEIGHTS)
+        .reduce((sum, key) => sum + SCORE_WEIGHTS[key] * factors[key], 0));
+};
+
+module.exports = {LEVELS, MAX_LAYERS, levelSettings, resolveSettings, scoreDifficulty};
\ No newline at end of file
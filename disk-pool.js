@@ -0,0 +1,140 @@
+/**
+ * Pool of pre-generated CAPTCHAs on disk
+ * @module disk-pool
+ */
+
+'use strict';
+
+const fs = require('fs');
+const {join} = require('path');
+const v8 = require('v8');
+const {createCipheriv, createDecipheriv, randomBytes, scryptSync} = require('crypto');
+
+/**
+ * Extension of pool entry files.
+ *  @constant
+ */
+const EXTENSION = '.captcha';
+/**
+ * Default maximum count of entries.
+ *  @constant
+ */
+const SIZE = 50;
+/**
+ * Default maximum age of entries in milliseconds.
+ *  @constant
+ */
+const MAX_AGE = 1000 * 60 * 60 * 24;
+
+const IV_LENGTH = 12, TAG_LENGTH = 16;
+
+/**
+ * Creates pool of CAPTCHAs stored in a directory, each entry in its own file encrypted with AES-256-GCM. Entries are
+ * single-use: taking an entry renames its file first, so only one taker in one or more processes gets it.
+ * @param {Object} opts options
+ * @param {String} opts.dir directory of the pool. Created if missing
+ * @param {String|Buffer} opts.key secret key the encryption key is derived from
+ * @param {Number} [opts.size] maximum count of entries, see {@link SIZE}
+ * @param {Number} [opts.maxAge] maximum age of entries in milliseconds, older ones are thrown away, see
+ * {@link MAX_AGE}
+ * @returns {{size: Number, maxAge: Number, count: function, put: function, take: function, purge: function}} pool
+ */
+const createDiskPool = (opts = {}) => {
+    const {dir, key, size = SIZE, maxAge = MAX_AGE} = opts;
+    if (!dir)
+        throw new Error('Directory of the disk pool is required!');
+    if (!key || Buffer.byteLength(key) < 16)
+        throw new Error('Key of the disk pool must have at least 16 bytes!');
+    if (!Number.isInteger(size) || size < 0)
+        throw new Error('Size of the disk pool must be a non-negative integer!');
+    if (!(maxAge > 0))
+        throw new Error('Max age of the disk pool must be positive!');
+    fs.mkdirSync(dir, {recursive: true});
+    const cipherKey = scryptSync(key, 'kx-iqcaptcha disk pool', 32);
+
+    // entry files are named by creation time, so stale ones are found without decrypting them
+    const _entries = () => fs.readdirSync(dir).filter(name => name.endsWith(EXTENSION)).sort();
+    const _created = name => parseInt(name, 36);
+    const _stale = created => !(Date.now() - created <= maxAge);
+    const _unlink = file => {
+        try {
+            fs.unlinkSync(file);
+        } catch (e) {
+            if (e.code !== 'ENOENT')
+                throw e;
+        }
+    };
+
+    const _encrypt = value => {
+        const iv = randomBytes(IV_LENGTH),
+            cipher = createCipheriv('aes-256-gcm', cipherKey, iv),
+            encrypted = Buffer.concat([cipher.update(v8.serialize(value)), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+    };
+    const _decrypt = buffer => {
+        const decipher = createDecipheriv('aes-256-gcm', cipherKey, buffer.subarray(0, IV_LENGTH));
+        decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        return v8.deserialize(Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)),
+            decipher.final()]));
+    };
+
+    /**
+     * Counts entries in the pool, including stale ones not purged yet.
+     * @returns {Number} count of entries
+     */
+    const count = () => _entries().length;
+
+    /**
+     * Stores CAPTCHA in the pool. Its data must be a string or buffer.
+     * @param {Object} captcha the CAPTCHA
+     */
+    const put = captcha => {
+        const created = Date.now(),
+            name = created.toString(36).padStart(9, '0') + '-' + randomBytes(8).toString('hex') + EXTENSION,
+            tmp = join(dir, name + '.tmp');
+        fs.writeFileSync(tmp, _encrypt({created, captcha}));
+        fs.renameSync(tmp, join(dir, name));
+    };
+
+    /**
+     * Takes the oldest fresh CAPTCHA out of the pool. Stale entries and entries which can not be decrypted are thrown
+     * away.
+     * @returns {Object|null} the CAPTCHA or null if the pool is empty
+     */
+    const take = () => {
+        for (let name of _entries()) {
+            const file = join(dir, name), claimed = `${file}.${process.pid}.taken`;
+            try {
+                fs.renameSync(file, claimed);
+            } catch (e) {
+                if (e.code === 'ENOENT') // taken by another process
+                    continue;
+                throw e;
+            }
+            let entry;
+            try {
+                entry = _decrypt(fs.readFileSync(claimed));
+            } catch (e) {
+                entry = null;
+            }
+            _unlink(claimed);
+            if (entry && !_stale(entry.created))
+                return entry.captcha;
+        }
+        return null;
+    };
+
+    /**
+     * Deletes stale entries.
+     * @returns {Number} count of deleted entries
+     */
+    const purge = () => {
+        const stale = _entries().filter(name => _stale(_created(name)));
+        stale.forEach(name => _unlink(join(dir, name)));
+        return stale.length;
+    };
+
+    return {size, maxAge, count, put, take, purge};
+};
+
+module.exports = {EXTENSION, SIZE, MAX_AGE, createDiskPool};
\ No newline at end of file
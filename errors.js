@@ -0,0 +1,60 @@
+/**
+ * Errors of CAPTCHA providing
+ * @module errors
+ */
+
+'use strict';
+
+/**
+ * Error of popCaptcha which did not get a CAPTCHA in time.
+ * @class CaptchaTimeoutError
+ */
+class CaptchaTimeoutError extends Error {
+    /**
+     * @constructs CaptchaTimeoutError
+     * @param {Number} timeout the time in milliseconds waited
+     */
+    constructor(timeout) {
+        super(`No CAPTCHA was provided in ${timeout} ms!`);
+        this.name = 'CaptchaTimeoutError';
+        this.code = 'ERR_CAPTCHA_TIMEOUT';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Error of popCaptcha aborted by its signal.
+ * @class CaptchaAbortError
+ */
+class CaptchaAbortError extends Error {
+    /**
+     * @constructs CaptchaAbortError
+     * @param {*} [reason] abort reason of the signal
+     */
+    constructor(reason) {
+        super('Waiting for CAPTCHA was aborted!');
+        this.name = 'CaptchaAbortError';
+        this.code = 'ERR_CAPTCHA_ABORTED';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Error of CAPTCHA creation which found no valid puzzle in allowed count of attempts.
+ * @class CaptchaValidationError
+ */
+class CaptchaValidationError extends Error {
+    /**
+     * @constructs CaptchaValidationError
+     * @param {Array<{seed: Number, reasons: Array<Object>}>} rejected seeds of rejected puzzles and reasons of their
+     * rejection
+     */
+    constructor(rejected) {
+        super(`No valid puzzle was created in ${rejected.length} attempts!`);
+        this.name = 'CaptchaValidationError';
+        this.code = 'ERR_CAPTCHA_INVALID';
+        this.rejected = rejected;
+    }
+}
+
+module.exports = {CaptchaTimeoutError, CaptchaAbortError, CaptchaValidationError};
\ No newline at end of file
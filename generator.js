@@ -6,8 +6,16 @@
 'use strict';
 
 const fs = require('fs');
-const cv = require('canvas');
+const {Readable} = require('stream');
 const Geo = require('./geometry');
+const SvgContext = require('./svg-context');
+const {describePuzzle} = require('./accessibility');
+const Difficulty = require('./difficulty');
+const Noise = require('./noise');
+const Labels = require('./labels');
+const Themes = require('./themes');
+const Validator = require('./validator');
+const {CaptchaValidationError} = require('./errors');
 
 /**
  * Square dimension of one tile. Tile is an option or a puzzle picture frame. Change the tile res to appropriately
@@ -17,45 +25,166 @@ const Geo = require('./geometry');
  * @type {number}
  */
 const TILE_RES = 100;
+/**
+ * Supported image formats and their MIME types. Support of webp depends on installed canvas module.
+ * @constant
+ */
+const FORMATS = {png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp', svg: 'image/svg+xml'};
+/**
+ * Supported forms of image data.
+ * @constant
+ */
+const OUTPUTS = ['dataURL', 'buffer', 'stream'];
 
+/**
+ * Creates raster canvas by the optional canvas module.
+ * @param {Number} width width of the canvas
+ * @param {Number} height height of the canvas
+ * @param {String} format image format the canvas is drawn for
+ * @returns {Object} canvas
+ */
+const _createCanvas = (width, height, format) => {
+    let canvas;
+    try {
+        canvas = require('canvas');
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND')
+            throw e;
+        throw new Error(`Image format ${format} needs the canvas module! Install canvas or use format 'svg'.`);
+    }
+    return canvas.createCanvas(width, height);
+};
+
+/**
+ * Computes image layout for provided tile resolution. The puzzle grid is centered with at least one tile of space on
+ * both sides, options are laid out in rows of equal length under it.
+ * @param {Number} tileRes tile resolution
+ * @param {Number} [layers] number of layers, the grid has as many rows and columns. Default 3
+ * @param {Number} [choices] number of options. Default 10
+ * @param {Number} [maxPerRow] maximum number of options in one row. Defaults to the width of the image
+ * @returns {{elementRes: Number, padding: Number, columns: Number, gridX: Number, optionRows: Number, optionsPerRow: Number, canvasWidth: Number, canvasHeigth: Number}}
+ */
+const _layout = (tileRes, layers = Geo.LAYERS, choices = Geo.CHOICES, maxPerRow) => {
+    const padding = tileRes / 10,
+        columns = Math.max(layers + 2, 5, maxPerRow || 0),
+        optionRows = Math.ceil(choices / (maxPerRow || columns));
+    return {
+        elementRes: 6 * tileRes / 10,
+        padding,
+        columns,
+        gridX: (columns - layers) / 2 * (tileRes + padding),
+        optionRows,
+        optionsPerRow: Math.ceil(choices / optionRows),
+        canvasWidth: columns * padding + tileRes * columns,
+        canvasHeigth: (layers + optionRows - 1) * padding + tileRes * (layers + optionRows)
+    };
+};
+
+/**
+ * Creates generator object.
+ * @param {Object} opts generator options, see {@link CaptchaMgr} genOpts
+ * @param {Number} [opts.tileRes] tile resolution in pixels. Default 100
+ * @param {Number} [opts.seed] seed of the generator. Generators created with the same seed provide the same sequence
+ * of CAPTCHAs
+ * @param {function(): Number} [opts.rng] custom random number function returning numbers in range [0, 1). Used for
+ * picking seeds of CAPTCHAs
+ * @param {Boolean} [opts.describe] whether created CAPTCHAs should contain puzzle description. Default false
+ * @param {Boolean} [opts.accessible] whether created CAPTCHAs should contain text version of the puzzle. Default false
+ * @param {Array<Object|String>} [opts.shapes] custom shapes or paths of modules exporting them
+ * @param {Array<String>} [opts.disabledShapes] names of shapes which should not be used
+ * @param {String} [opts.format] image format, 'png', 'jpeg', 'webp' or 'svg'. Default 'png'
+ * @param {String} [opts.output] form of image data, 'dataURL', 'buffer' or 'stream'. Default 'dataURL'
+ * @param {Number} [opts.quality] quality of jpeg or webp image in range [0, 1]
+ * @param {Number} [opts.gridSize] number of rows and columns of the puzzle grid, same as number of layers
+ * @param {Number} [opts.optionsPerRow] maximum number of options in one row under the grid
+ * @param {Number} [opts.answers] number of correct options. Default 2
+ * @param {String|Number|Boolean|Object} [opts.noise] anti-OCR noise and distortion, see {@link Noise.resolveNoise}
+ * @param {String|Object} [opts.theme] name of built-in theme or theme object, see {@link Themes.THEMES}
+ * @param {Boolean|Object} [opts.validate] whether puzzles whose options can not be told apart are rejected and
+ * created again, see {@link Validator.resolveValidation}. Default false
+ */
 const createGenerator = (opts = {}) => {
+    const {format = 'png', output = 'dataURL', quality, optionsPerRow} = opts;
+    if (!FORMATS.hasOwnProperty(format))
+        throw new Error(`Unsupported image format ${format}!`);
+    if (!OUTPUTS.includes(output))
+        throw new Error(`Unsupported output ${output}!`);
+    if (optionsPerRow !== undefined && !(Number.isInteger(optionsPerRow) && optionsPerRow > 0))
+        throw new Error('Options per row must be a positive integer!');
 
     const geo = Geo.createGeometryHelper(opts);
+    const seedRng = opts.rng || (opts.seed !== undefined ? Geo.createRng(opts.seed) : Math.random);
 
     const {tileRes = TILE_RES} = opts;
-    const elementRes = 6 * tileRes / 10,
-        padding = tileRes / 10,
-        canvasWidth = 5 * padding + tileRes * 5,
-        canvasHeigth = 4 * padding + tileRes * 5;
+    Difficulty.resolveSettings(opts.difficulty, opts);
+    Noise.resolveNoise(opts.noise);
+    Themes.resolveTheme(opts.theme, opts);
+    Validator.resolveValidation(opts.validate);
 
     /**
-     * Provides a CAPTCHA object. Returned choices are array of option letters. Answer is 2 letter string of correct
-     * answers, data is Base64 picture encoding. Mentioned properties are attributes of resolved Promise object which
-     * the function returns.
-     * @async
-     * @returns {Promise<{choices: Array, answer: String, data: String}>}
+     * Converts group of shape indices, painters, params and resolutions to serialisable list of layers.
+     * @param {{shapes: Array, painters: Array, params: Array, resolutions: Array}} group group to convert
+     * @returns {Array<{shape: String, painter: String, resolution: Number, params: Object}>}
      */
-    const create = async () => {
-        const canvas = cv.createCanvas(canvasWidth, canvasHeigth),
-            ctx = canvas.getContext('2d');
+    const _describeGroup = group => group.shapes.map((shapeIdx, i) => ({
+        shape: geo.shapes[shapeIdx].name,
+        painter: group.painters[i].name,
+        resolution: group.resolutions[i],
+        params: Object.assign({}, group.params[i])
+    }));
 
-        const topShapeIdces = geo.random.genDistinct(0, geo.shapes.length - 1, 3, []);
+    /**
+     * Draws described layers.
+     * @param {Object} ctx canvas context
+     * @param {Array<{shape: String, painter: String, resolution: Number, params: Object}>} layers layers to draw
+     * @param {Array<String>} [fillStyles] fill styles of layers
+     */
+    const _drawLayers = (ctx, layers, fillStyles) => {
+        const shapes = layers.map(layer => {
+            const shape = geo.findShape(layer.shape);
+            if (!shape)
+                throw new Error(`Unknown shape ${layer.shape}!`);
+            return shape;
+        });
+        const painters = layers.map(layer => {
+            if (!geo.painters.hasOwnProperty(layer.painter))
+                throw new Error(`Unknown painter ${layer.painter}!`);
+            return geo.painters[layer.painter];
+        });
+        geo.drawGroup(ctx, shapes, painters, layers.map(layer => layer.params), layers.map(layer => layer.resolution),
+            fillStyles);
+    };
+
+    /**
+     * Randomly decides the whole puzzle. Uses current state of geometry helper randomizers.
+     * @param {Number} seed seed the randomizers were reseeded with
+     * @param {Object} settings difficulty settings, see {@link Difficulty.resolveSettings}
+     * @param {Object} [theme] resolved theme, its bounds range colours of tile bounds
+     * @returns {Object} serialisable puzzle description
+     */
+    const _decide = (seed, settings, theme) => {
+        const {elementRes} = _layout(tileRes);
+        const layers = settings.layers,
+            layerNums = [...Array(layers).keys()].map(i => i + 1);
+        const topShapeIdces = geo.random.genDistinct(0, geo.shapes.length - 1, layers, []);
 
-        const [midOffset, qOffset] = geo.random.genDistinct(1, geo.shapes.length - 1, 2, geo.shapes.length);
-        const midShapeIdces = topShapeIdces.map(index => ((index + midOffset) % geo.shapes.length));
-        const qShapeIdces = topShapeIdces.map(index => ((index + qOffset) % geo.shapes.length));
+        const offsets = geo.random.genDistinct(1, geo.shapes.length - 1, layers - 1, geo.shapes.length);
+        const shapeSets = [topShapeIdces,
+            ...offsets.map(offset => topShapeIdces.map(index => ((index + offset) % geo.shapes.length)))];
+        const qShapeIdces = shapeSets[layers - 1];
 
-        const overdraws = geo.deciders.decideOverdraws();
-        const overdrawsParams = geo.deciders.decideParams(overdraws);
+        const overdraws = geo.deciders.decideOverdraws(layers);
+        const overdrawsParams = geo.deciders.decideParams(overdraws, settings,
+            overdraws.map((ovd, i) => shapeSets.map(set => set[i])));
         const resolutions = [];
 
         /**
          * decide resolutions/dimensions
          */
         {
-            for (let i of [0, 1, 2]) {
-                if (overdraws[i] === geo.painters.clock || overdraws[i] === geo.painters.insert) {
-                    if (i === 2 && geo.random.randInt(0, 2))
+            for (let i of layerNums.map(num => num - 1)) {
+                if (overdraws[i].compact) {
+                    if (i === layers - 1 && geo.random.randInt(0, 2))
                         resolutions.push(Math.floor(elementRes / 3));
                     else resolutions.push(Math.floor(elementRes / 2));
                 } else resolutions.push(geo.random.randInt(0, 2) ? elementRes : Math.floor(elementRes / 2));
@@ -66,20 +195,17 @@ const createGenerator = (opts = {}) => {
         /**
          * prepare for drawing
          */
-        let layerCountMatrix = [[1, 2, 3], [1, 2, 3], [1, 2, 3]],
-            rowIndexMatrix = geo.random.shuffle([[1, 1, 1], [2, 2, 2], [3, 3, 3]]),
-            idxTranslation = {
-                1: topShapeIdces,
-                2: midShapeIdces,
-                3: qShapeIdces
-            };
+        let layerCountMatrix = layerNums.map(() => [...layerNums]),
+            rowIndexMatrix = geo.random.shuffle(layerNums.map(num => layerNums.map(() => num))),
+            idxTranslation = shapeSets.reduce((translation, set, i) => Object.assign(translation, {[i + 1]: set}),
+                {});
         /**
          * shuffle question tiling
          */
         {
             if (geo.random.randInt(0, 1)) {
                 layerCountMatrix = geo.random.shuffle(rowIndexMatrix);
-                const replicated = geo.random.shuffle([1, 2, 3]);
+                const replicated = geo.random.shuffle([...layerNums]);
                 rowIndexMatrix = rowIndexMatrix.map(() => replicated);
             } else {
                 layerCountMatrix.forEach(row => geo.random.shuffle(row));
@@ -87,18 +213,116 @@ const createGenerator = (opts = {}) => {
             }
 
         }
+        const bounds = theme ? theme.bounds : Themes.BOUNDS;
+        const boundColors = [0, 0, 0].map(() => 'rgb(' + [0, 0, 0].map(() =>
+            (geo.random.randInt(bounds[0], bounds[1]))).reduce((i, j) => (i + ', ' + j)) + ')');
+
         /**
-         * drawing the 3x3 question part
+         * describing the question grid
+         */
+        const grid = layerCountMatrix.map((row, y) => row.map((upToLayer, x) => {
+            if (upToLayer === layers && rowIndexMatrix[y][x] === layers)
+                return {question: true};
+            return {
+                layers: _describeGroup({
+                    shapes: idxTranslation[rowIndexMatrix[y][x]].slice(0, upToLayer),
+                    painters: overdraws, params: overdrawsParams, resolutions
+                })
+            };
+        }));
+
+        const choices = geo.deciders.decideOptions(qShapeIdces, overdraws, overdrawsParams, resolutions, settings);
+        const score = Difficulty.scoreDifficulty({
+            layers,
+            rotatePerLayer: settings.rotatePerLayer,
+            clockIters: overdrawsParams.filter((param, i) => overdraws[i] === geo.painters.clock)
+                .map(param => param.itercount),
+            choices: settings.choices,
+            decoySimilarities: choices.opts.filter(opt => opt.similarity !== undefined).map(opt => opt.similarity)
+        });
+
+        return {
+            seed,
+            tileRes,
+            difficulty: {level: settings.level, score},
+            rule: {
+                shapeSets: shapeSets.map(idces => idces.map(index => geo.shapes[index].name)),
+                painters: overdraws.map(ovd => ovd.name),
+                params: overdrawsParams.map(param => Object.assign({}, param)),
+                resolutions
+            },
+            layerCountMatrix,
+            rowIndexMatrix: rowIndexMatrix.map(row => [...row]),
+            boundColors,
+            grid,
+            options: [...Array(settings.choices).keys()].map(i => ({
+                letter: choices.letters[i % choices.opts.length],
+                layers: _describeGroup(choices.opts[i % choices.opts.length])
+            })),
+            choices: choices.letters,
+            answer: Labels.joinLabels(choices.answer)
+        };
+    };
+
+    /**
+     * Computes rectangles of option tiles in the image. Painting lays options out by them, so they can be used for hit
+     * testing of clicks.
+     * @param {Object} description puzzle description
+     * @param {Number} [res] tile resolution of the image. Defaults to generator's tileRes
+     * @returns {Array<{letter: String, x: Number, y: Number, width: Number, height: Number}>} option tile rectangles
+     */
+    const _optionAreas = (description, res = tileRes) => {
+        const layers = description.grid.length, count = description.options.length,
+            {padding, columns, optionsPerRow: perRow} = _layout(res, layers, count, optionsPerRow);
+        const scale = res / description.tileRes;
+        return description.options.map((option, i) => {
+            const column = i % perRow, row = Math.floor(i / perRow),
+                inRow = Math.min(perRow, count - row * perRow), // center rows
+                jitter = description.noise ? description.noise.options[i] : {dx: 0, dy: 0};
+            return {
+                letter: option.letter,
+                x: ((columns - inRow) / 2 + column) * (res + padding) + jitter.dx * scale,
+                y: (layers + row) * (res + padding) + jitter.dy * scale,
+                width: res,
+                height: res
+            };
+        });
+    };
+
+    /**
+     * Draws described puzzle onto a canvas context.
+     * @param {Object} ctx canvas context
+     * @param {Object} description puzzle description
+     * @param {Object} [theme] resolved theme. Defaults to theme of the description
+     */
+    const _paint = (ctx, description, theme = description.theme) => {
+        const tileRes = description.tileRes,
+            noise = description.noise,
+            {padding, gridX, canvasWidth, canvasHeigth} = _layout(tileRes, description.grid.length,
+                description.options.length, optionsPerRow),
+            questionStyle = theme ? {fillStyle: theme.questionFillStyle} : {};
+        if (theme && theme.background) {
+            ctx.save();
+            ctx.fillStyle = theme.background;
+            ctx.fillRect(0, 0, canvasWidth, canvasHeigth);
+            ctx.restore();
+        }
+        geo.useStyles(theme || {});
+        noise && Noise.paintSpecks(ctx, noise);
+        /**
+         * drawing the question grid
          */
         {
-            const boundColors = [0, 0, 0].map(() => 'rgb(' + [0, 0, 0].map(() =>
-                (geo.random.randInt(50, 255))).reduce((i, j) => (i + ', ' + j)) + ')');
+            const boundColors = description.boundColors;
             ctx.save();
-            ctx.translate(tileRes + padding, padding); // move one tile rightward and pad for y
+            ctx.translate(gridX, padding); // move to the grid and pad for y
             ctx.translate(tileRes / 2, tileRes / 2); // move half a tile so we always draw in middle
-            for (let y of [0, 1, 2]) {
-                for (let x of [0, 1, 2]) {
-                    let [upToLayer, idces] = [layerCountMatrix[y][x], idxTranslation[rowIndexMatrix[y][x]]];
+            description.grid.forEach((row, y) => {
+                row.forEach((tile, x) => {
+                    const distortion = noise ? noise.grid[y][x] : {};
+                    ctx.save();
+                    noise && ctx.translate(distortion.dx, distortion.dy);
+                    Noise.warpTile(ctx, noise && distortion);
                     /**
                      * draw tile bounds
                      */
@@ -112,39 +336,176 @@ const createGenerator = (opts = {}) => {
                         ctx.strokeRect(-tileRes / 2, -tileRes / 2, tileRes, tileRes);
                         ctx.restore();
                     }
-                    if (upToLayer === 3 && rowIndexMatrix[y][x] === 3)
-                        geo.drawLetter(ctx, tileRes, '?');
-                    else geo.drawGroup(ctx, idces.slice(0, upToLayer), overdraws, overdrawsParams, resolutions);
+                    if (tile.question)
+                        geo.drawLetter(ctx, tileRes, '?', Object.assign({}, distortion.letter, questionStyle));
+                    else _drawLayers(ctx, tile.layers, distortion.colors);
+                    ctx.restore();
 
                     ctx.translate(tileRes + padding, 0); // move left for next tile in row
-                }
-                ctx.translate(-3 * (tileRes + padding), tileRes + padding); // move back to the left and step one row lower
-            }
+                });
+                ctx.translate(-row.length * (tileRes + padding), tileRes + padding); // move back to the left and step one row lower
+            });
             ctx.restore();
         }
 
-        const choices = geo.deciders.decideOptions(qShapeIdces, overdraws, overdrawsParams, resolutions);
+        _optionAreas(description, tileRes).forEach((area, i) => {
+            const distortion = noise ? noise.options[i] : {};
+            ctx.save();
+            ctx.translate(area.x + tileRes / 2, area.y + tileRes / 2); // move to the middle of option tile
+            Noise.warpTile(ctx, noise && distortion);
+            _drawLayers(ctx, description.options[i].layers, distortion.colors);
+            geo.drawLetter(ctx, tileRes, area.letter, distortion.letter);
+            ctx.restore();
+        });
+        noise && Noise.paintLines(ctx, noise);
+        geo.useStyles();
+    };
 
-        ctx.save();
-        ctx.translate(tileRes / 2, (tileRes + padding) * 3 + tileRes / 2);
-        for (let i of [...Array(10).keys()]) {
-            if (i === 5) {
-                ctx.translate(-5 * (tileRes + padding), tileRes + padding);
-            }
-            choices.opts[i % choices.opts.length](ctx);
-            geo.drawLetter(ctx, tileRes, choices.letters[i % choices.opts.length]);
-            ctx.translate(tileRes + padding, 0);
+    /**
+     * Creates image of described puzzle in resolution and format of this generator. The canvas module is required
+     * only when drawing raster image, so SVG generation works even where it can not be built.
+     * @param {Object} description puzzle description
+     * @param {String} [out] form of image data. Defaults to generator's output option
+     * @param {Object} [theme] resolved theme. Defaults to theme of the description
+     * @returns {String|Buffer|Readable} picture in requested form
+     */
+    const _draw = (description, out = output, theme) => {
+        if (!OUTPUTS.includes(out))
+            throw new Error(`Unsupported output ${out}!`);
+        const {canvasWidth, canvasHeigth} = _layout(tileRes, description.grid.length, description.options.length,
+            optionsPerRow);
+        const canvas = format === 'svg' ? new SvgContext(canvasWidth, canvasHeigth)
+            : _createCanvas(canvasWidth, canvasHeigth, format),
+            ctx = format === 'svg' ? canvas : canvas.getContext('2d');
+        ctx.scale(tileRes / description.tileRes, tileRes / description.tileRes);
+        _paint(ctx, description, theme);
+
+        if (format === 'svg') {
+            const svg = Buffer.from(canvas.toSVG());
+            if (out === 'buffer')
+                return svg;
+            return out === 'stream' ? Readable.from([svg]) : `data:${FORMATS.svg};base64,` + svg.toString('base64');
         }
-        ctx.restore();
-        return {
-            choices: choices.letters,
-            answer: choices.answer.join(''),
-            data: canvas.toDataURL()
+        if (out === 'stream' && format === 'png')
+            return canvas.createPNGStream();
+        if (out === 'stream' && format === 'jpeg')
+            return canvas.createJPEGStream(quality !== undefined ? {quality} : {});
+        let buffer;
+        try {
+            buffer = canvas.toBuffer(FORMATS[format], quality !== undefined ? {quality} : undefined);
+        } catch (e) {
+            throw new Error(`Image format ${format} is not supported by installed canvas module!`);
+        }
+        if (out === 'buffer')
+            return buffer;
+        return out === 'stream' ? Readable.from([buffer]) : `data:${FORMATS[format]};base64,` + buffer.toString('base64');
+    };
+
+    /**
+     * Provides a CAPTCHA object. Returned choices are array of option letters. Answer is string of letters of all
+     * correct options, data is the picture in form of the output option, type is its MIME type, seed is the seed the
+     * CAPTCHA was created from, areas are rectangles of option tiles in the picture. Mentioned properties are
+     * attributes of resolved Promise object which the function returns.
+     * @async
+     * @param {Object} [createOpts] options for this CAPTCHA only
+     * @param {Number} [createOpts.seed] seed to create the CAPTCHA from. Providing seed of previously created CAPTCHA
+     * recreates the very same CAPTCHA. Randomly picked if none provided
+     * @param {Boolean} [createOpts.describe] whether the CAPTCHA should contain puzzle description. Defaults to
+     * generator's describe option
+     * @param {String} [createOpts.output] form of image data. Defaults to generator's output option
+     * @param {Boolean} [createOpts.accessible] whether the CAPTCHA should contain text version of the puzzle.
+     * Defaults to generator's accessible option
+     * @param {String|Number} [createOpts.difficulty] difficulty level of the CAPTCHA. Defaults to generator's
+     * difficulty option. Settings explicitly set in generator options still take precedence
+     * @param {String|Number|Boolean|Object} [createOpts.noise] noise of the CAPTCHA, see {@link Noise.resolveNoise}.
+     * Defaults to generator's noise option
+     * @param {String|Object} [createOpts.theme] theme of the CAPTCHA. Defaults to generator's theme option
+     * @param {Boolean|Object} [createOpts.validate] validation of the puzzle, see {@link Validator.resolveValidation}.
+     * Defaults to generator's validate option. Rejected puzzle is replaced by the one of the next seed, derived from
+     * the rejected one, so the seed of created CAPTCHA can differ from provided one. Fails with
+     * {@link CaptchaValidationError} when no puzzle is valid in allowed count of attempts
+     * @returns {Promise<{choices: Array, answer: String, difficulty: {level: *, score: Number}, data: String|Buffer|Readable, type: String, seed: Number, areas: Array<Object>, text: String, description: Object, rejected: Array<Object>}>}
+     */
+    const create = async (createOpts = {}) => {
+        let seed = createOpts.seed !== undefined ? Geo.normalizeSeed(createOpts.seed)
+            : Math.floor(seedRng() * Geo.SEED_RANGE);
+
+        const settings = Difficulty.resolveSettings(createOpts.difficulty !== undefined ? createOpts.difficulty
+            : opts.difficulty, opts);
+        const theme = Themes.resolveTheme(createOpts.theme !== undefined ? createOpts.theme : opts.theme, opts);
+        const validation = Validator.resolveValidation(createOpts.validate !== undefined ? createOpts.validate
+            : opts.validate);
+        const rejected = [];
+        let description;
+        for (; ;) {
+            geo.random.reseed(seed);
+            description = _decide(seed, settings, theme);
+            const report = validation && Validator.validatePuzzle(description, _drawLayers, validation);
+            if (!report || report.valid)
+                break;
+            rejected.push({seed, reasons: report.reasons});
+            if (rejected.length >= validation.attempts)
+                throw new CaptchaValidationError(rejected);
+            seed = Math.floor(Geo.createRng(seed)() * Geo.SEED_RANGE);
+        }
+        if (theme)
+            description.theme = theme;
+        const noise = Noise.resolveNoise(createOpts.noise !== undefined ? createOpts.noise : opts.noise);
+        if (noise) {
+            const {canvasWidth, canvasHeigth} = _layout(description.tileRes, description.grid.length,
+                description.options.length, optionsPerRow);
+            description.noise = Noise.decideNoise(description, noise, {width: canvasWidth, height: canvasHeigth});
+        }
+        const result = {
+            choices: description.choices,
+            answer: description.answer,
+            difficulty: description.difficulty,
+            data: _draw(description, createOpts.output),
+            type: FORMATS[format],
+            seed,
+            areas: _optionAreas(description)
         };
+        if (createOpts.accessible !== undefined ? createOpts.accessible : opts.accessible)
+            result.text = describePuzzle(description, geo.painters);
+        if (createOpts.describe !== undefined ? createOpts.describe : opts.describe)
+            result.description = description;
+        if (validation)
+            result.rejected = rejected;
+        return result;
     };
 
+    /**
+     * Rebuilds the image of a puzzle from its description. The image is drawn in resolution of this generator
+     * so the description can be rendered in other resolution than it was created in.
+     * @async
+     * @param {Object} description puzzle description provided by {@link create} in describe mode
+     * @param {Object} [renderOpts] options for this render only
+     * @param {String} [renderOpts.output] form of image data. Defaults to generator's output option
+     * @param {String|Object} [renderOpts.theme] theme of the image. Defaults to theme of the description. Colours of
+     * tile bounds stay as described
+     * @returns {Promise<{choices: Array, answer: String, difficulty: {level: *, score: Number}, data: String|Buffer|Readable, type: String, seed: Number, areas: Array<Object>}>}
+     */
+    const render = async (description, renderOpts = {}) => ({
+        choices: description.choices,
+        answer: description.answer,
+        difficulty: description.difficulty,
+        data: _draw(description, renderOpts.output, Themes.resolveTheme(renderOpts.theme, opts) || undefined),
+        type: FORMATS[format],
+        seed: description.seed,
+        areas: _optionAreas(description)
+    });
+
+    /**
+     * Checks that options of described puzzle can be told apart, see {@link Validator.validatePuzzle}.
+     * @param {Object} description puzzle description provided by {@link create} in describe mode
+     * @param {Boolean|Object} [settings] validation settings, see {@link Validator.resolveValidation}. Default true
+     * @returns {{valid: Boolean, reasons: Array<Object>}} whether the puzzle is valid and reasons of its rejection
+     */
+    const validate = (description, settings = true) => Validator.validatePuzzle(description, _drawLayers,
+        Validator.resolveValidation(settings) || Validator.resolveValidation(true));
+
     const testGenToFile = (filename = Date.now() + 'IQCtestgen.html') => {
-        create().then(gend => {
+        create({output: 'dataURL'}).then(gend => {
             const output = `<img alt="${gend.answer}" src="${gend.data}">`;
             console.log(gend.answer);
             fs.writeFileSync(filename, output);
@@ -153,7 +514,23 @@ const createGenerator = (opts = {}) => {
         });
     };
 
-    return {create, testGenToFile}
+    return {
+        create, render, validate, testGenToFile,
+        registerShape: geo.registerShape,
+        disableShape: geo.disableShape,
+        enableShape: geo.enableShape,
+        registerPainter: geo.registerPainter,
+        /**
+         * Names of currently used shapes.
+         * @returns {Array<String>}
+         */
+        getShapeNames: () => (geo.shapes.map(shape => shape.name)),
+        /**
+         * Names of registered painters.
+         * @returns {Array<String>}
+         */
+        getPainterNames: () => (Object.keys(geo.painters))
+    }
 };
 
 module.exports = {
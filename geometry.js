@@ -4,6 +4,9 @@
 
 'use strict';
 
+const {resolve} = require('path');
+const Labels = require('./labels');
+
 const _dgtorad = dg => ((Math.PI / 180) * dg);
 /**
  * Shape fillstyle
@@ -32,10 +35,10 @@ const MIN_CLOCK_ITERS = 2;
  */
 const MAX_CLOCK_ITERS = 6;
 /**
- * Possible answer letter set.
+ * Font family of labels.
  *  @constant
  */
-const POSSIBLE_LETTERS = 'ADEIHKMNOPSTWXZ'.split('');
+const LABEL_FONT = 'serif';
 /**
  * Whether text should be filled too.
  *  @constant
@@ -46,15 +49,149 @@ const TEXT_FILL = true;
  *  @constant
  */
 const ROTATE_PER_LAYER = true;
+/**
+ * Default number of layers. Puzzle grid has as many rows and columns as there are layers.
+ *  @constant
+ */
+const LAYERS = 3;
+/**
+ * Default number of options to choose from.
+ *  @constant
+ */
+const CHOICES = 10;
+/**
+ * Default number of correct options.
+ *  @constant
+ */
+const ANSWERS = 2;
+/**
+ * How similar to the correct option decoys of every kind look, from 0 (obviously wrong) to 1 (nearly identical).
+ *  @constant
+ */
+const DECOY_SIMILARITY = {skip: .2, swap: .4, recur: .5, shape: .7, params: .9};
+/**
+ * Minimum count of used shapes. Fewer shapes can not provide enough distinct decoy options.
+ *  @constant
+ */
+const MIN_SHAPES = 7;
+/**
+ * Exclusive upper bound of seed values.
+ *  @constant
+ */
+const SEED_RANGE = 0x100000000;
+/**
+ * Smallest rotation in degrees which makes a visible difference to a shape.
+ *  @constant
+ */
+const MIN_VISIBLE_ANGLE = 15;
+/**
+ * Symmetry of shapes which do not declare any. Rotation is the smallest angle in degrees which maps the shape onto
+ * itself, 360 if there is none and 0 if any angle does, e.g. for a circle. Mirror tells whether the shape has an axis
+ * of mirror symmetry, so its mirror image is the same shape rotated.
+ *  @constant
+ */
+const NO_SYMMETRY = {rotation: 360, mirror: false};
+
+const _mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+const _angleDistance = (angle1, angle2, period = 360) => {
+    const rest = _mod(angle1 - angle2, period);
+    return Math.min(rest, period - rest);
+};
+
+/**
+ * Tells whether rotating the shape by the angle makes a visible difference, given rotational symmetry of the shape.
+ * @param {Object} shape shape object
+ * @param {Number} angle angle in degrees
+ * @returns {Boolean} whether the rotated shape looks different
+ */
+const looksRotated = (shape, angle) => {
+    const period = (shape.symmetry || NO_SYMMETRY).rotation;
+    return period > 0 && _angleDistance(angle, 0, period) >= MIN_VISIBLE_ANGLE;
+};
+
+/**
+ * Computes poses of pieces the clock painter draws, merging pieces placed over each other. Orientations are reduced
+ * by rotational symmetry of the shape.
+ * @param {Object} params clock params
+ * @param {Object} [shape] shape of the pieces
+ * @returns {Array<{position: Number, orientation: Number}>} angles of positions and orientations in degrees
+ */
+const _clockPoses = (params, shape) => {
+    const itercount = params.itercount || 4,
+        period = ((shape && shape.symmetry) || NO_SYMMETRY).rotation,
+        byangle = 360 / itercount + (typeof params.offangle === 'number' ? params.offangle : 0);
+    return [...Array(itercount - (params.skipFirst ? 1 : 0)).keys()].reduce((poses, k) => {
+        const position = _mod((k + 1) * byangle, 360);
+        if (!poses.some(pose => _angleDistance(pose.position, position) < MIN_VISIBLE_ANGLE))
+            poses.push({position, orientation: period ? _mod(position, period) : 0});
+        return poses;
+    }, []);
+};
+
+const _samePoses = (poses1, poses2, shape) => {
+    const period = ((shape && shape.symmetry) || NO_SYMMETRY).rotation,
+        covers = (poses, others) => poses.every(pose => others.some(other =>
+            _angleDistance(pose.position, other.position) < MIN_VISIBLE_ANGLE &&
+            (!period || _angleDistance(pose.orientation, other.orientation, period) < MIN_VISIBLE_ANGLE)));
+    return covers(poses1, poses2) && covers(poses2, poses1);
+};
 
+/**
+ * Creates seeded pseudo random number generator (mulberry32).
+ * @param {Number} seed 32-bit unsigned integer seed
+ * @returns {function(): Number} function returning numbers in range [0, 1)
+ */
+const createRng = seed => {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    };
+};
+
+/**
+ * Validates the seed and converts it to 32-bit unsigned integer.
+ * @param {Number} seed seed to normalize
+ * @returns {Number} normalized seed
+ */
+const normalizeSeed = seed => {
+    if (!Number.isInteger(seed))
+        throw new Error('Seed must be an integer!');
+    return seed >>> 0;
+};
+
+/**
+ * Creates a helper with shapes, painters and randomizers.
+ * @param {Object} opts options, see {@link CaptchaMgr} genOpts
+ * @param {Number} [opts.seed] seed for randomizers. Ignored when opts.rng is provided
+ * @param {function(): Number} [opts.rng] custom random number function returning numbers in range [0, 1)
+ * @param {Array<Object|String>} [opts.shapes] custom shapes to register, see {@link registerShape}. Path of a module
+ * exporting a shape or an array of shapes can be used instead of a shape
+ * @param {Array<String>} [opts.disabledShapes] names of shapes which should not be used
+ * @param {Array<Object|String>} [opts.painters] custom painters to register, see {@link registerPainter}. Path of a
+ * module exporting a painter or an array of painters can be used instead of a painter
+ * @param {String|Array<String>} [opts.labels] name of built-in label set or array of labels, see
+ * {@link Labels.resolveLabels}. Takes precedence over opts.possibleLetters
+ * @param {String} [opts.labelFont] font family of labels. Default serif
+ * @param {Number} [opts.labelSize] size of labels relative to tile resolution. Default 1
+ */
 const createGeometryHelper = (opts = {}) => {
     const {
-        rotatePerLayer = ROTATE_PER_LAYER, textFill = TEXT_FILL, possibleLetters = POSSIBLE_LETTERS,
+        rotatePerLayer = ROTATE_PER_LAYER, textFill = TEXT_FILL, labelFont = LABEL_FONT, labelSize = 1,
         letterFillStyle = LETTER_FILLSTYLE, fillStyle = FILLSTYLE, strokeStyle = STROKE_STYLE
     } = opts;
+    const possibleLetters = Labels.resolveLabels(opts.labels !== undefined ? opts.labels : opts.possibleLetters);
+    if (!(labelSize > 0))
+        throw new Error('Label size must be a positive number!');
+    let _rng = opts.rng || (opts.seed !== undefined ? createRng(opts.seed) : Math.random);
+    let _styles = {fillStyle, strokeStyle, letterFillStyle}; // styles of current drawing, see useStyles
+    let _fillStyle = fillStyle; // fill style of currently drawn layer
     const _stroke = ctx => {
         ctx.save();
-        strokeStyle && (ctx.strokeStyle = strokeStyle);
+        _styles.strokeStyle && (ctx.strokeStyle = _styles.strokeStyle);
         ctx.stroke();
         ctx.restore();
     };
@@ -62,21 +199,21 @@ const createGeometryHelper = (opts = {}) => {
         if (fill) {
             ctx.save();
             _stroke(ctx);
-            ctx.fillStyle = fillStyle;
+            ctx.fillStyle = _fillStyle;
             ctx.fill();
             if (shapeScope && shapeScope.unfillable) {
                 ctx.lineWidth = res <= 30 ? res / 4 : res / 5;
-                ctx.strokeStyle = fillStyle;
+                ctx.strokeStyle = _fillStyle;
                 _stroke(ctx);
             }
             ctx.restore();
         } else _stroke(ctx);
     };
     /**
-     * Array of shape objects. Each of them has name and drawin function that accepts canvas context, resolution array
-     * and boolean fill.
+     * Array of built-in shape objects. Each of them has name, drawin function that accepts canvas context,
+     * resolution array and boolean fill, and symmetry, see {@link NO_SYMMETRY}.
      */
-    const shapes = [
+    const builtinShapes = [
         {
             name: 'square',
             drawin: function (ctx, res, fill = false) {
@@ -91,7 +228,8 @@ const createGeometryHelper = (opts = {}) => {
                 ctx.closePath();
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
-            }
+            },
+            symmetry: {rotation: 90, mirror: true}
         },
         {
             name: 'rectangle',
@@ -107,7 +245,8 @@ const createGeometryHelper = (opts = {}) => {
                 ctx.closePath();
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
-            }
+            },
+            symmetry: {rotation: 360, mirror: false}
         },
         {
             name: 'circle',
@@ -121,7 +260,8 @@ const createGeometryHelper = (opts = {}) => {
                 _stroke(ctx);
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
-            }
+            },
+            symmetry: {rotation: 0, mirror: true}
         },
         {
             name: 'heart',
@@ -145,7 +285,8 @@ const createGeometryHelper = (opts = {}) => {
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
             },
-            faces: true
+            faces: true,
+            symmetry: {rotation: 360, mirror: true}
         },
         {
             name: 'cross',
@@ -161,7 +302,8 @@ const createGeometryHelper = (opts = {}) => {
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
             },
-            unfillable: true
+            unfillable: true,
+            symmetry: {rotation: 90, mirror: true}
         },
         {
             name: 'moon',
@@ -179,7 +321,8 @@ const createGeometryHelper = (opts = {}) => {
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
             },
-            faces: true
+            faces: true,
+            symmetry: {rotation: 360, mirror: true}
         },
         {
             name: 'roof',
@@ -195,7 +338,8 @@ const createGeometryHelper = (opts = {}) => {
                 ctx.restore();
             },
             unfillable: true,
-            faces: true
+            faces: true,
+            symmetry: {rotation: 360, mirror: true}
         },
         {
             name: 'arrow',
@@ -214,7 +358,8 @@ const createGeometryHelper = (opts = {}) => {
                 ctx.restore();
             },
             unfillable: true,
-            faces: true
+            faces: true,
+            symmetry: {rotation: 360, mirror: true}
         },
         {
             name: 'triangle',
@@ -229,7 +374,8 @@ const createGeometryHelper = (opts = {}) => {
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
             },
-            faces: true
+            faces: true,
+            symmetry: {rotation: 360, mirror: true}
         },
         {
             name: 'fivestar',
@@ -256,7 +402,8 @@ const createGeometryHelper = (opts = {}) => {
                 _stroke(ctx);
                 ctx.restore();
             },
-            faces: true
+            faces: true,
+            symmetry: {rotation: 360, mirror: true}
         },
         {
             name: 'pentagon',
@@ -276,7 +423,8 @@ const createGeometryHelper = (opts = {}) => {
                 ctx.closePath();
                 _stroke(ctx);
                 ctx.restore();
-            }
+            },
+            symmetry: {rotation: 180, mirror: true}
         },
         {
             name: 'plus',
@@ -300,7 +448,8 @@ const createGeometryHelper = (opts = {}) => {
                 ctx.closePath();
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
-            }
+            },
+            symmetry: {rotation: 90, mirror: true}
         },
         {
             name: 'threelines',
@@ -323,7 +472,8 @@ const createGeometryHelper = (opts = {}) => {
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
             },
-            unfillable: true
+            unfillable: true,
+            symmetry: {rotation: 180, mirror: true}
         },
         {
             name: 'sun',
@@ -340,159 +490,342 @@ const createGeometryHelper = (opts = {}) => {
                 _fillup(ctx, fill, res, this);
                 ctx.restore();
             },
-            unfillable: true
+            unfillable: true,
+            symmetry: {rotation: 36, mirror: true}
         }
     ];
 
     /**
-     * Draws a letter.
+     * Shapes by their names, including registered and disabled ones.
+     */
+    const knownShapes = new Map(builtinShapes.map(shape => [shape.name, shape]));
+    /**
+     * Array of currently used shape objects.
+     */
+    const shapes = [...builtinShapes];
+
+    /**
+     * Registers custom shape and starts using it.
+     * @param {Object} shape shape to register
+     * @param {String} shape.name unique name of the shape
+     * @param {function} shape.draw function accepting canvas context, resolution and boolean fill. It should trace
+     * the path of the shape centered at origin and fitting into resolution sized square. The path is filled and
+     * stroked afterwards
+     * @param {Boolean} [shape.unfillable] whether the shape has no area to fill, e.g. consists of lines only
+     * @param {Boolean} [shape.faces] whether the shape faces a direction and should be turned when placed
+     * @param {{rotation: Number, mirror: Boolean}} [shape.symmetry] rotational and mirror symmetry of the shape, see
+     * {@link NO_SYMMETRY}. Rotation has to divide 360. Defaults to no symmetry
+     */
+    const registerShape = shape => {
+        if (!shape || typeof shape.name !== 'string' || typeof shape.draw !== 'function')
+            throw new Error('Invalid shape! Shape needs name and draw function.');
+        if (knownShapes.has(shape.name))
+            throw new Error(`Shape ${shape.name} already exists!`);
+        const symmetry = Object.assign({}, NO_SYMMETRY, shape.symmetry);
+        if (typeof symmetry.rotation !== 'number' || symmetry.rotation < 0 || symmetry.rotation > 360 ||
+            (symmetry.rotation && !Number.isInteger(360 / symmetry.rotation)))
+            throw new Error('Rotational symmetry of a shape must be 0 or angle dividing 360!');
+        const registered = {
+            name: shape.name,
+            drawin: function (ctx, res, fill = false) {
+                ctx.save();
+                ctx.beginPath();
+                shape.draw(ctx, res, fill);
+                _fillup(ctx, fill, res, this);
+                ctx.restore();
+            },
+            unfillable: Boolean(shape.unfillable),
+            faces: Boolean(shape.faces),
+            symmetry: {rotation: symmetry.rotation, mirror: Boolean(symmetry.mirror)}
+        };
+        knownShapes.set(registered.name, registered);
+        shapes.push(registered);
+    };
+
+    /**
+     * Stops using the shape. Disabled shape can still be found by {@link findShape} so already described puzzles
+     * can be rendered.
+     * @param {String} name name of the shape
+     */
+    const disableShape = name => {
+        if (!knownShapes.has(name))
+            throw new Error(`Unknown shape ${name}!`);
+        const idx = shapes.findIndex(shape => shape.name === name);
+        if (idx !== -1) {
+            if (shapes.length <= MIN_SHAPES)
+                throw new Error(`At least ${MIN_SHAPES} shapes have to be used!`);
+            shapes.splice(idx, 1);
+        }
+    };
+
+    /**
+     * Starts using previously disabled shape again.
+     * @param {String} name name of the shape
+     */
+    const enableShape = name => {
+        if (!knownShapes.has(name))
+            throw new Error(`Unknown shape ${name}!`);
+        if (!shapes.some(shape => shape.name === name))
+            shapes.push(knownShapes.get(name));
+    };
+
+    /**
+     * Finds registered or built-in shape by its name, no matter whether it is used.
+     * @param {String} name name of the shape
+     * @returns {Object|undefined} shape object
+     */
+    const findShape = name => (knownShapes.get(name));
+
+    (opts.shapes || []).forEach(entry => {
+        const loaded = typeof entry === 'string' ? require(resolve(entry)) : entry;
+        (Array.isArray(loaded) ? loaded : [loaded]).forEach(registerShape);
+    });
+    (opts.disabledShapes || []).forEach(disableShape);
+
+    /**
+     * Draws a label.
      * @param {Object} ctx canvas context
-     * @param {Number} res resolution of the letter
-     * @param {String} letter Letter to draw. If string of length > 1 is provided, only the first letter is drawn
+     * @param {Number} res resolution of the label
+     * @param {String} letter label to draw, e.g. a letter, digits or emoji. Labels wider than the resolution are
+     * squeezed
+     * @param {{font: String, scale: Number, rotation: Number, fillStyle: String}} [style] font family, size scale,
+     * rotation in degrees and canvas style of the label. Defaults to labelFont, labelSize and letterFillStyle options
      */
-    const drawLetter = (ctx, res, letter) => {
+    const drawLetter = (ctx, res, letter, style = {}) => {
         ctx.save();
         //ctx.translate(-res/2,0);
+        style.rotation && ctx.rotate(_dgtorad(style.rotation));
         ctx.textAlign = 'center';
-        ctx.font = res + 'px serif';
+        ctx.font = res * labelSize * (style.scale || 1) + 'px ' + (style.font || labelFont);
         ctx.textBaseline = 'middle';
         if (textFill) {
-            ctx.fillStyle = letterFillStyle;
-            ctx.fillText(letter[0], 0, 0, res);
+            ctx.fillStyle = style.fillStyle || _styles.letterFillStyle;
+            ctx.fillText(letter, 0, 0, res);
         } else {
-            ctx.strokeText(letter[0], 0, 0, res);
+            ctx.strokeText(letter, 0, 0, res);
         }
         ctx.restore();
     };
 
     /**
-     * Object of painter functions.
-     * @type {{clock: painters.clock, place: painters.place, insert: painters.insert}}
+     * Range of clock iterations.
+     * @param {Object} settings difficulty settings
+     * @returns {Array<Number>} minimal and maximal iterations
+     */
+    const clockIters = settings => ([settings.minClockIters || MIN_CLOCK_ITERS,
+        settings.maxClockIters || MAX_CLOCK_ITERS]);
+
+    /**
+     * Object of painters by their names. Painter is an object with name, draw function, layer weights, compact flag,
+     * params randomizer and decoy params creator.
+     * @type {{clock: Object, place: Object, insert: Object}}
      */
     const painters = {
-        /**
-         * Places multiple pieces of shape, rotating around center, creating a clock pattern.
-         * @param {Object} ctx canvas context
-         * @param {Array} res resolution array
-         * @param {Object} target target shape
-         * @param {Object} params parameters for shape drawin provided by {@link deciders.decideParams}
-         */
-        clock: (ctx, res, target, params = {}) => {
-            let skipFirst = params.skipFirst;
-            let fill = Boolean(params.fill);
-            let itercount = params.itercount || 4;
-            let byangle = 360 / itercount;
-            if (params.offangle && typeof params.offangle === 'number') {
-                byangle += params.offangle;
-            }
-            let i = skipFirst ? 1 : 0;
-            ctx.save();
-            params.angle ? ctx.rotate(Number(params.angle)) : {};
-            for (; i < itercount; i++) {
-                ctx.rotate(_dgtorad(byangle));
-                ctx.translate(res, 0);
-                target.drawin(ctx, res, fill);
-                ctx.translate(-res, 0);
+        clock: {
+            name: 'clock',
+            weights: {first: 1, middle: 1, last: 1},
+            compact: true,
+            /**
+             * Places multiple pieces of shape, rotating around center, creating a clock pattern.
+             * @param {Object} ctx canvas context
+             * @param {Array} res resolution array
+             * @param {Object} target target shape
+             * @param {Object} params parameters for shape drawin provided by {@link deciders.decideParams}
+             */
+            draw: (ctx, res, target, params = {}) => {
+                let skipFirst = params.skipFirst;
+                let fill = Boolean(params.fill);
+                let itercount = params.itercount || 4;
+                let byangle = 360 / itercount;
+                if (params.offangle && typeof params.offangle === 'number') {
+                    byangle += params.offangle;
+                }
+                let i = skipFirst ? 1 : 0;
+                ctx.save();
+                params.angle ? ctx.rotate(_dgtorad(Number(params.angle))) : {};
+                for (; i < itercount; i++) {
+                    ctx.rotate(_dgtorad(byangle));
+                    ctx.translate(res, 0);
+                    target.drawin(ctx, res, fill);
+                    ctx.translate(-res, 0);
+                }
+                ctx.restore();
+            },
+            /**
+             * Picks offangle which places no piece over another one.
+             */
+            decideParams: (param, rnd, layer, settings = {}) => {
+                param.skipFirst = random.randInt(1, 5) > 3;
+                param.itercount = random.randInt(...clockIters(settings));
+                const pieces = param.itercount - (param.skipFirst ? 1 : 0),
+                    offangles = [...Array(46).keys()].filter(offangle =>
+                        _clockPoses(Object.assign({}, param, {offangle})).length === pieces);
+                param.offangle = offangles.length ? offangles[random.randInt(0, offangles.length - 1)]
+                    : random.getRandAngle();
+            },
+            /**
+             * Changes clock iters to one which places pieces of the shape differently.
+             */
+            decoys: (params, rnd, settings = {}, shape) => {
+                const [min, max] = clockIters(settings), poses = _clockPoses(params, shape);
+                const itercounts = [...Array(max - min + 1).keys()].map(i => i + min).filter(itercount =>
+                    itercount !== (params.itercount || 4) &&
+                    !_samePoses(poses, _clockPoses(Object.assign({}, params, {itercount}), shape), shape));
+                return itercounts.length ? [Object.assign({}, params, {
+                    itercount: itercounts[random.randInt(0, itercounts.length - 1)]
+                })] : [];
             }
-            ctx.restore();
         },
-        /**
-         * Places a single piece of shape.
-         * @param {Object} ctx canvas context
-         * @param {Array} res resolution array
-         * @param {Object} target target shape
-         * @param {Object} params parameters for shape drawin provided by {@link deciders.decideParams}
-         */
-        place: (ctx, res, target, params = {}) => {
-            let rotangle = 0 || params.angle;
-            let fill = Boolean(params.fill);
-            ctx.save();
-            if (rotangle)
-                ctx.rotate(_dgtorad(rotangle));
-            if (target.faces)
-                ctx.rotate(_dgtorad(-90));
-            target.drawin(ctx, res, fill);
-            ctx.restore();
+        place: {
+            name: 'place',
+            weights: {first: 2, middle: 0, last: 1},
+            compact: false,
+            /**
+             * Places a single piece of shape.
+             * @param {Object} ctx canvas context
+             * @param {Array} res resolution array
+             * @param {Object} target target shape
+             * @param {Object} params parameters for shape drawin provided by {@link deciders.decideParams}
+             */
+            draw: (ctx, res, target, params = {}) => {
+                let rotangle = 0 || params.angle;
+                let fill = Boolean(params.fill);
+                ctx.save();
+                if (rotangle)
+                    ctx.rotate(_dgtorad(rotangle));
+                if (target.faces)
+                    ctx.rotate(_dgtorad(-90));
+                target.drawin(ctx, res, fill);
+                ctx.restore();
+            },
+            decideParams: () => {
+            },
+            decoys: () => ([])
         },
-        /**
-         * Places a single piece of shape in an position with an offset.
-         * @param {Object} ctx canvas context
-         * @param {Array} res resolution array
-         * @param {Object} target target shape
-         * @param {Object} params parameters for shape drawin provided by {@link deciders.decideParams}
-         */
-        insert: (ctx, res, target, params = {}) => {
-            let rotangle = params.angle || 0;
-            let fill = Boolean(params.fill);
-            let tx = params.tx || 0;
-            let ty = params.ty || 0;
-            ctx.save();
-            ctx.translate(tx * res, ty * res);
-            if (rotangle)
-                ctx.rotate(_dgtorad(rotangle));
-            if (target.faces)
-                ctx.rotate(_dgtorad(-90));
-            target.drawin(ctx, res, fill);
-            ctx.restore();
+        insert: {
+            name: 'insert',
+            weights: {first: 0, middle: 0, last: 3},
+            compact: true,
+            /**
+             * Places a single piece of shape in an position with an offset.
+             * @param {Object} ctx canvas context
+             * @param {Array} res resolution array
+             * @param {Object} target target shape
+             * @param {Object} params parameters for shape drawin provided by {@link deciders.decideParams}
+             */
+            draw: (ctx, res, target, params = {}) => {
+                let rotangle = params.angle || 0;
+                let fill = Boolean(params.fill);
+                let tx = params.tx || 0;
+                let ty = params.ty || 0;
+                ctx.save();
+                ctx.translate(tx * res, ty * res);
+                if (rotangle)
+                    ctx.rotate(_dgtorad(rotangle));
+                if (target.faces)
+                    ctx.rotate(_dgtorad(-90));
+                target.drawin(ctx, res, fill);
+                ctx.restore();
+            },
+            decideParams: param => {
+                param.tx = random.randInt(0, 2) - 1;
+                param.ty = random.randInt(0, 2) - 1;
+                if (!param.tx && !param.ty) {
+                    param.tx = random.randInt(0, 1) ? 1 : -1;
+                    param.ty = random.randInt(0, 1) ? 1 : -1;
+                }
+            },
+            decoys: () => ([])
         }
     };
 
+    /**
+     * Registers custom painter. Painter draws a shape in a layer of a tile.
+     * @param {Object} painter painter to register
+     * @param {String} painter.name unique name of the painter
+     * @param {function} painter.draw function accepting canvas context, resolution, target shape and params. Shape is
+     * drawn by calling target.drawin(ctx, res, fill)
+     * @param {function} [painter.decideParams] function accepting params object, randomizers, layer index, difficulty
+     * settings and shapes drawn in the layer. It should randomize painter specific params by setting them on provided
+     * params object
+     * @param {function} [painter.decoys] function accepting params, randomizers, difficulty settings and shape of the
+     * layer. Returns array of params which make the layer look different, used for wrong options
+     * @param {{first: Number, middle: Number, last: Number}} [painter.weights] relative chance of being picked for the
+     * first, middle and last layer. Defaults to 1 for all of them
+     * @param {Boolean} [painter.compact] whether the painter needs smaller resolution, e.g. draws multiple pieces
+     * @param {function} [painter.describe] function accepting shape text and params, returning text of the layer for
+     * accessible text version of the puzzle
+     */
+    const registerPainter = painter => {
+        if (!painter || typeof painter.name !== 'string' || typeof painter.draw !== 'function')
+            throw new Error('Invalid painter! Painter needs name and draw function.');
+        if (painters.hasOwnProperty(painter.name))
+            throw new Error(`Painter ${painter.name} already exists!`);
+        painters[painter.name] = Object.assign({
+            weights: {first: 1, middle: 1, last: 1},
+            compact: false,
+            decideParams: () => {
+            },
+            decoys: () => ([])
+        }, painter);
+    };
+
+    (opts.painters || []).forEach(entry => {
+        const loaded = typeof entry === 'string' ? require(resolve(entry)) : entry;
+        (Array.isArray(loaded) ? loaded : [loaded]).forEach(registerPainter);
+    });
+
     /**
      * Param/overdraw randomizers.
      */
     const deciders = {
         /**
-         * Returns 3 overdraw functions.
+         * Returns overdraw painters for every layer, picked by their layer weights.
+         * @param {Number} [layers] number of layers. Default 3
          * @returns {Array}
          */
-        decideOverdraws: () => {
-            const res = [];
-            res.push(random.randInt(0, 2) ? painters.place : painters.clock);
-            res.push(painters.clock);
-            res.push(random.randInt(1, 5) < 4 ? painters.insert : random.randInt(0, 1) ? painters.clock : painters.place);
-            return res;
+        decideOverdraws: (layers = LAYERS) => {
+            const available = Object.values(painters);
+            return [...Array(layers).keys()].map(i => {
+                const position = i === 0 ? 'first' : i === layers - 1 ? 'last' : 'middle';
+                return random.weighted(available, painter => (painter.weights[position] || 0));
+            });
         },
         /**
-         * Returns randomized parameters for shape overdraws.
+         * Returns randomized parameters for shape overdraws. Angles are picked so they visibly rotate shapes of
+         * the layers.
          * @param {Array} ovds array of shape overdraws
+         * @param {Object} [settings] difficulty settings, see {@link resolveSettings}
+         * @param {Array<Array>} [layerShapes] shapes or indices of shapes drawn in every layer
          * @returns {Array} of params for provided overdraws
          */
-        decideParams: ovds => {
+        decideParams: (ovds, settings = {}, layerShapes) => {
             const res = [];
+            const last = ovds.length - 1;
             let i = 0;
             for (let ovd of ovds) {
-                const param = {};
+                const param = {},
+                    drawn = layerShapes && layerShapes[i].map(shape => (typeof shape === 'number' ? shapes[shape]
+                        : shape));
                 param.belongs = ovd.name;
-                param.angle = random.getRandAngle();
-                param.fill = i++ === 2;
-                if (ovd === painters.insert) {
-                    param.tx = random.randInt(0, 2) - 1;
-                    param.ty = random.randInt(0, 2) - 1;
-                    if (!param.tx && !param.ty) {
-                        param.tx = random.randInt(0, 1) ? 1 : -1;
-                        param.ty = random.randInt(0, 1) ? 1 : -1;
-                    }
-                }
-                if (ovd === painters.clock) {
-                    param.skipFirst = random.randInt(1, 5) > 3;
-                    param.itercount = random.randInt(MIN_CLOCK_ITERS, MAX_CLOCK_ITERS);
-                    param.offangle = random.getRandAngle();
-                }
+                param.angle = random.getRandAngle(drawn);
+                param.fill = i === last;
+                ovd.decideParams(param, random, i++, settings, drawn);
                 res.push(param);
             }
-            for (let i of [0, 1]) {
+            for (let i of [...Array(last).keys()]) {
                 if (res[i].fill && ovds[i] === painters.insert) {
-                    if (ovds[i + 1] === painters.insert || ovds[Math.min(i + 2, 2)] === painters.insert)
+                    if (ovds[i + 1] === painters.insert || ovds[Math.min(i + 2, last)] === painters.insert)
                         if ((res[i].tx === res[i + 1].tx && res[i].ty === res[i + 1].ty) ||
-                            (res[i].tx === res[Math.min(i + 2, 2)].tx &&
-                                res[i].ty === res[Math.min(i + 2, 2)].ty))
+                            (res[i].tx === res[Math.min(i + 2, last)].tx &&
+                                res[i].ty === res[Math.min(i + 2, last)].ty))
                             res[i].fill = false;
                 }
             }
 
-            if (rotatePerLayer) {
+            if (settings.rotatePerLayer !== undefined ? settings.rotatePerLayer : rotatePerLayer) {
                 const baseAngle = random.randInt(10, 40),
-                    perLayerRotations = [baseAngle, ...random.genDistinct(10, 45, 2)
+                    perLayerRotations = [baseAngle, ...random.genDistinct(10, 45, last)
                         .sort().map(val => val + baseAngle)];
                 res.forEach((item, i) => {
                     item.layerRotation = perLayerRotations[i];
@@ -501,46 +834,46 @@ const createGeometryHelper = (opts = {}) => {
             return res;
         },
         /**
-         * Generates options to choose from.
+         * Generates options to choose from. Every option is a group object with shapes (indices), painters, params
+         * and resolutions which can be drawn using {@link drawGroup}. Wrong options also have similarity to the
+         * correct option, see {@link DECOY_SIMILARITY}.
          * @param {Array} qShapeIndices shape indices of question tile
          * @param {Array} ovds overdraws
          * @param {Array} ovdParams parameters for overdraws
          * @param {Array} resolutions array of resolutions
-         * @returns {{opts: (*|Array), answer: Array, letters: *}}
+         * @param {Object} [settings] difficulty settings, see {@link resolveSettings}
+         * @returns {{opts: Array<{shapes: Array, painters: Array, params: Array, resolutions: Array, similarity: Number}>, answer: Array, letters: Array}}
          */
-        decideOptions: (qShapeIndices, ovds, ovdParams, resolutions) => {
+        decideOptions: (qShapeIndices, ovds, ovdParams, resolutions, settings = {}) => {
             const cparr = arr => ([...arr]);
             const cpobj = obj => (Object.assign({}, obj));
+            const group = (shapes, painters = ovds, params = ovdParams, ress = resolutions) =>
+                ({shapes, painters, params, resolutions: ress});
+            const layers = [...qShapeIndices.keys()],
+                last = qShapeIndices.length - 1,
+                choices = settings.choices || CHOICES,
+                answers = settings.answers || ANSWERS;
+            if (possibleLetters.length < choices)
+                throw new Error(`At least ${choices} possible letters are needed!`);
+            if (shapes.length - last < answers)
+                throw new Error(`Not enough shapes for ${answers} correct options!`);
 
             let optPreparedDraws = [];
+            const decoy = (kind, option) => {
+                option.similarity = DECOY_SIMILARITY[kind];
+                optPreparedDraws.push(option);
+            };
             /**
              * swapping painters
              */
             {
-                if (ovds[0] !== ovds[1]) {
+                layers.forEach(i => layers.filter(j => j > i && ovds[i] !== ovds[j]).forEach(j => {
                     const tmpIdcs = cparr(qShapeIndices);
-                    const tmpParams = [ovdParams[1], ovdParams[0], ovdParams[2]];
-                    [tmpIdcs[0], tmpIdcs[1]] = [tmpIdcs[1], tmpIdcs[0]];
-                    optPreparedDraws.push(ctx => {
-                        drawGroup(ctx, tmpIdcs, ovds, tmpParams, resolutions);
-                    });
-                }
-                if (ovds[1] !== ovds[2]) {
-                    const tmpIdcs = cparr(qShapeIndices);
-                    const tmpParams = [ovdParams[0], ovdParams[2], ovdParams[1]];
-                    [tmpIdcs[2], tmpIdcs[1]] = [tmpIdcs[1], tmpIdcs[2]];
-                    optPreparedDraws.push(ctx => {
-                        drawGroup(ctx, tmpIdcs, ovds, tmpParams, resolutions);
-                    });
-                }
-                if (ovds[0] !== ovds[2]) {
-                    const tmpIdcs = cparr(qShapeIndices);
-                    const tmpParams = [ovdParams[2], ovdParams[1], ovdParams[0]];
-                    [tmpIdcs[2], tmpIdcs[0]] = [tmpIdcs[0], tmpIdcs[2]];
-                    optPreparedDraws.push(ctx => {
-                        drawGroup(ctx, tmpIdcs, ovds, tmpParams, resolutions);
-                    });
-                }
+                    const tmpParams = cparr(ovdParams);
+                    [tmpIdcs[i], tmpIdcs[j]] = [tmpIdcs[j], tmpIdcs[i]];
+                    [tmpParams[i], tmpParams[j]] = [tmpParams[j], tmpParams[i]];
+                    decoy('swap', group(tmpIdcs, ovds, tmpParams));
+                }));
             }
 
             /**
@@ -548,90 +881,87 @@ const createGeometryHelper = (opts = {}) => {
              */
             {
                 const recur = (i, j) => {
-                    optPreparedDraws.push(ctx => {
-                        const tmpIdcs = cparr(qShapeIndices);
-                        tmpIdcs[i] = tmpIdcs[j];
-                        drawGroup(ctx, tmpIdcs, ovds, ovdParams, resolutions);
-                    });
+                    const tmpIdcs = cparr(qShapeIndices);
+                    tmpIdcs[i] = tmpIdcs[j];
+                    decoy('recur', group(tmpIdcs));
                 };
 
-                [[1, 0], [1, 2], [0, 2], [0, 1], [2, 0]].forEach(pair => (recur(...pair)));
+                layers.forEach(i => layers.filter(j => j !== i && (i !== last || j === 0)).forEach(j => recur(i, j)));
             }
 
             /**
-             * changing clock iters
+             * changing painter params, e.g. clock iters
              */
             {
-                const newGendIters = [];
-                for (let i of [...Array(ovds.length).keys()]) {
-                    if (ovds[i] === painters.clock)
-                        optPreparedDraws.push(ctx => {
-                            const newParams = [cpobj(ovdParams[0]), cpobj(ovdParams[1]), cpobj(ovdParams[2])];
-                            newGendIters.push(newParams[i].itercount);
-                            newParams[i].itercount = random.genDistinct(MIN_CLOCK_ITERS, MAX_CLOCK_ITERS, 1, newGendIters)[0];
-                            ctx.save();
-                            drawGroup(ctx, qShapeIndices, ovds, newParams, resolutions);
-                            ctx.restore();
-                        });
+                for (let i of layers) {
+                    ovds[i].decoys(ovdParams[i], random, settings, shapes[qShapeIndices[i]]).forEach(decoyParams => {
+                        const newParams = ovdParams.map(cpobj);
+                        newParams[i] = cpobj(decoyParams);
+                        decoy('params', group(cparr(qShapeIndices), ovds, newParams));
+                    });
                 }
             }
 
             /**
-             * skipping first or second drawing, then changing first shape
+             * skipping one of the drawings, then changing first remaining shape
              */
             {
-                for (let i of [0, 1]) { // 1 means skip second
-                    optPreparedDraws.push(ctx => {
-                        const tempShapeIdces = [i ? qShapeIndices[0] : qShapeIndices[1], qShapeIndices[2]];
-                        const tempOvds = [i ? ovds[0] : ovds[1], ovds[2]];
-                        const tempParams = [i ? ovdParams[0] : ovdParams[1], ovdParams[2]];
-                        const tempRess = [i ? resolutions[0] : resolutions[1], resolutions[2]];
-                        tempShapeIdces[0] = random.genDistinct(0, shapes.length - 1, 1, tempShapeIdces[0])[0];
-                        ctx.save();
-                        drawGroup(ctx, tempShapeIdces, tempOvds, tempParams, tempRess);
-                        ctx.restore();
-                    });
+                for (let i of layers.slice(0, last)) {
+                    const kept = layers.filter(j => j !== i);
+                    const tempShapeIdces = kept.map(j => qShapeIndices[j]);
+                    const tempOvds = kept.map(j => ovds[j]);
+                    const tempParams = kept.map(j => ovdParams[j]);
+                    const tempRess = kept.map(j => resolutions[j]);
+                    tempShapeIdces[0] = random.genDistinct(0, shapes.length - 1, 1, tempShapeIdces[0])[0];
+                    decoy('skip', group(tempShapeIdces, tempOvds, tempParams, tempRess));
                 }
             }
 
             /**
-             * changing first or second shapes
+             * changing one of shapes before the last one
              */
-            const newGendShapes = qShapeIndices.slice(0, 2);
+            const newGendShapes = qShapeIndices.slice(0, last);
             const changeShape = () => {
                 const newGendShape = random.genDistinct(0, shapes.length - 1, 1, newGendShapes)[0],
                     newIdces = [...qShapeIndices];
-                newIdces[random.randInt(0, 1)] = newGendShape;
+                newIdces[random.randInt(0, last - 1)] = newGendShape;
                 newGendShapes.push(newGendShape);
-                optPreparedDraws.push(ctx => {
-                    drawGroup(ctx, newIdces, ovds, ovdParams, resolutions);
-                });
+                decoy('shape', group(newIdces));
             };
-            [...Array(10).keys()].forEach(i => (i > 2 && optPreparedDraws.length > 9 ? {} : changeShape()));
+            for (let i = 0; newGendShapes.length < shapes.length && (i < 3 || optPreparedDraws.length < choices); i++)
+                changeShape();
 
             /**
-             * choosing random ten from prepared options
+             * choosing random options from prepared ones. Options similar to the correct one are preferred when
+             * decoy similarity is set
              */
-            optPreparedDraws = random.shuffle(optPreparedDraws).slice(0, Math.min(10, optPreparedDraws.length));
+            if (typeof settings.decoySimilarity === 'number') {
+                const picked = [];
+                while (picked.length < choices && optPreparedDraws.length) {
+                    const option = random.weighted(optPreparedDraws, opt =>
+                        1 / (.1 + Math.abs(opt.similarity - settings.decoySimilarity)));
+                    optPreparedDraws.splice(optPreparedDraws.indexOf(option), 1);
+                    picked.push(option);
+                }
+                optPreparedDraws = picked;
+            } else
+                optPreparedDraws = random.shuffle(optPreparedDraws).slice(0, Math.min(choices, optPreparedDraws.length));
 
             /**
-             * create two correct answers, then create return value object
+             * create correct answers, the first one is the question tile, others differ in the last shape only.
+             * Then create return value object
              */
-            const letters = random.shuffle(possibleLetters).slice(0, 10);
+            const letters = random.shuffle([...possibleLetters]).slice(0, choices);
             const correctAnswerLetters = [];
             {
-                const correctShapeIndices = [qShapeIndices[2], random.genDistinct(0, shapes.length - 1,
-                    1, qShapeIndices)[0]],
-                    answrIdcesToBeReplaced = random.genDistinct(0, optPreparedDraws.length - 1, 2);
+                const correctShapeIndices = [qShapeIndices[last], ...random.genDistinct(0, shapes.length - 1,
+                    answers - 1, qShapeIndices)],
+                    answrIdcesToBeReplaced = random.genDistinct(0, optPreparedDraws.length - 1, answers);
                 answrIdcesToBeReplaced.forEach((idx, i) => {
                     correctAnswerLetters.push(letters[idx]);
-                    optPreparedDraws[idx] = ctx => {
-                        ctx.save();
-                        const _shps = qShapeIndices.slice(0, 2);
-                        _shps.push(correctShapeIndices[i]);
-                        drawGroup(ctx, _shps, ovds, ovdParams, resolutions);
-                        ctx.restore();
-                    };
+                    const _shps = qShapeIndices.slice(0, last);
+                    _shps.push(correctShapeIndices[i]);
+                    optPreparedDraws[idx] = group(_shps);
                 });
 
             }
@@ -643,9 +973,28 @@ const createGeometryHelper = (opts = {}) => {
      * Number randomizers.
      */
     const random = {
-        rnd: () => Math.random(),
+        rnd: () => _rng(),
+        /**
+         * Restarts randomizers from provided seed. Same seed always leads to the same sequence of numbers.
+         * @param {Number} seed 32-bit unsigned integer seed
+         */
+        reseed: seed => {
+            _rng = createRng(seed);
+        },
         randInt: (min, max) => (Math.floor(random.rnd() * (max - min + 1)) + min),
-        getRandAngle: () => (random.randInt(0, 45)),
+        /**
+         * Picks random angle in range [0, 45] degrees. With shapes, only angles visibly rotating all of them which
+         * can be visibly rotated are picked, see {@link looksRotated}.
+         * @param {Array<Object>} [shapes] shapes the angle rotates
+         * @returns {Number} angle in degrees
+         */
+        getRandAngle: shapes => {
+            const rotatable = (shapes || []).filter(shape => [...Array(360).keys()].some(angle =>
+                looksRotated(shape, angle)));
+            const angles = [...Array(46).keys()].filter(angle => rotatable.every(shape => looksRotated(shape, angle)));
+            return rotatable.length && angles.length ? angles[random.randInt(0, angles.length - 1)]
+                : random.randInt(0, 45);
+        },
         genDistinct: (min, max, n, distarr) => {
             if (!distarr) {
                 distarr = [];
@@ -662,6 +1011,17 @@ const createGeometryHelper = (opts = {}) => {
             });
             return res;
         },
+        /**
+         * Picks random item. Chance of every item is proportional to its weight.
+         * @param {Array} items items to pick from
+         * @param {function} weightOf function returning weight of an item
+         * @returns {*} picked item
+         */
+        weighted: (items, weightOf) => {
+            const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+            let rest = random.rnd() * total;
+            return items.find(item => (rest -= weightOf(item)) < 0) || items[items.length - 1];
+        },
         shuffle: arr => {
             for (let i = arr.length - 1; i > 0; i--) {
                 const j = Math.floor(random.rnd() * (i + 1));
@@ -676,11 +1036,12 @@ const createGeometryHelper = (opts = {}) => {
      * Draws a group of shapes.
      * @param {Object} context canvas context
      * @param {Array} providedShapes shapes or indices of shapes to draw
-     * @param {Array} providedFunctions functions that draw them
+     * @param {Array} providedFunctions painters that draw them
      * @param {Array} providedParams params for draw functions
      * @param {Array} resolutions array of resolutions
+     * @param {Array<String>} [fillStyles] fill styles of shapes overriding the fillStyle option
      */
-    const drawGroup = (context, providedShapes, providedFunctions, providedParams, resolutions) => {
+    const drawGroup = (context, providedShapes, providedFunctions, providedParams, resolutions, fillStyles = []) => {
         if (typeof providedShapes[0] === 'number')
             providedShapes = providedShapes.map(index => (shapes[index]));
         context.save();
@@ -688,12 +1049,35 @@ const createGeometryHelper = (opts = {}) => {
             context.save();
             [...Array(providedShapes.length).keys()].forEach(i => context
                 .rotate(_dgtorad(providedParams[i].layerRotation || 0)));
-            providedFunctions[idx](context, resolutions[idx], shape, providedParams[idx]);
+            _fillStyle = fillStyles[idx] || _styles.fillStyle;
+            providedFunctions[idx].draw(context, resolutions[idx], shape, providedParams[idx]);
+            _fillStyle = _styles.fillStyle;
             context.restore();
         });
         context.restore();
     };
-    return {shapes, painters, deciders, drawGroup, drawLetter, random}
+
+    /**
+     * Sets styles of following drawing, e.g. of a theme. Styles missing in provided object are the ones of options.
+     * Call without styles to restore styles of options.
+     * @param {{fillStyle: String, strokeStyle: String, letterFillStyle: String}} [styles] canvas styles
+     */
+    const useStyles = (styles = {}) => {
+        _styles = {
+            fillStyle: styles.fillStyle || fillStyle,
+            strokeStyle: styles.strokeStyle || strokeStyle,
+            letterFillStyle: styles.letterFillStyle || letterFillStyle
+        };
+        _fillStyle = _styles.fillStyle;
+    };
+
+    return {
+        shapes, painters, deciders, drawGroup, drawLetter, random, registerShape, disableShape, enableShape, findShape,
+        registerPainter, useStyles
+    }
 };
 
-module.exports = {createGeometryHelper};
\ No newline at end of file
+module.exports = {
+    createGeometryHelper, createRng, normalizeSeed, looksRotated, SEED_RANGE, MIN_SHAPES, LAYERS, CHOICES, ANSWERS,
+    MIN_CLOCK_ITERS, MAX_CLOCK_ITERS, ROTATE_PER_LAYER, MIN_VISIBLE_ANGLE, NO_SYMMETRY
+};
\ No newline at end of file
@@ -1,12 +1,19 @@
 'use strict';
 const generator = require('./generator');
+const Geo = require('./geometry');
 const {fork} = require('child_process');
 const {join} = require('path');
+const {Readable} = require('stream');
+const EventEmitter = require('events');
 const authr = require('./captcha-authr');
+const metrics = require('./metrics');
+const diskPool = require('./disk-pool');
+const {CaptchaTimeoutError, CaptchaAbortError, CaptchaValidationError} = require('./errors');
 
-class CaptchaMgr {
+class CaptchaMgr extends EventEmitter {
     /**
-     * Class for automatic CAPTCHA creating, providing and dynamic capacity adjusting.
+     * Class for automatic CAPTCHA creating, providing and dynamic capacity adjusting. Emits events 'captchaCreated',
+     * 'capacityChanged', 'generationError' and 'queueStarved'.
      * @param {Object} opts options for CAPTCHA management
      * @param {number} [opts.initialCapacity] starting CAPTCHA capacity. Default 3
      * @param {number} [opts.checkInterval] time interval for CAPTCHA checks in millisecondds. Default 1500
@@ -15,27 +22,87 @@ class CaptchaMgr {
      * @param {number} [opts.capacityCutbackMinPercentage] minimal ready/capacity ratio to perform cutback. Default 0.9
      * @param {object} [opts.logger] logger
      * @param {boolean} [opts.forks] whether creation should run in separate process. Defaults to true
+     * @param {number} [opts.workers] number of worker processes creating CAPTCHAs with forks. Default 1
+     * @param {number} [opts.generationTimeout] time limit in milliseconds of one CAPTCHA creation, counted from the
+     * moment a worker starts it. Workers which do not respond in time are restarted. Applies only with forks, creation in this process blocks it until it is done
+     * and can not be interrupted. Default 10000
+     * @param {number} [opts.retries] number of retries of failed CAPTCHA creation. Default 2
+     * @param {number} [opts.healthCheckInterval] time interval in milliseconds of pinging idle workers, 0 disables
+     * health checks. Default 30000
+     * @param {object} [opts.diskPool] options of encrypted pool of CAPTCHAs on disk used when the queue is empty,
+     * e.g. after restart. See {@link module:disk-pool.createDiskPool}
+     * @param {string} opts.diskPool.dir directory of the pool
+     * @param {string} opts.diskPool.key secret key of the encryption
+     * @param {number} [opts.diskPool.size] count of CAPTCHAs kept in the pool. Default 50
+     * @param {number} [opts.diskPool.maxAge] maximum age of CAPTCHAs in milliseconds. Default 1000*60*60*24
      * @param {object} [opts.genOpts] generator options
      * @param {boolean} [opts.genOpts.rotatePerLayer] whether every picture in group should be rotated. Default true
      * @param {boolean} [opts.genOpts.textFill] whether text should be filled too. Default true
      * @param {array<string>} [opts.genOpts.possibleLetters] list of possible letters. Default list of ADEIHKMNOPSTWXZ
+     * @param {string|array<string>} [opts.genOpts.labels] name of built-in label set or array of labels of options
+     * @param {string} [opts.genOpts.labelFont] font family of labels. Default 'serif'
+     * @param {number} [opts.genOpts.labelSize] size of labels relative to tile resolution. Default 1
      * @param {string} [opts.genOpts.letterFillStyle] canvas style for text. Default 'rgba(0,0,0,0.4)'
      * @param {string} [opts.genOpts.fillStyle] canvas style for shapes. Default 'rgba(0,0,0,0.2)'
      * @param {string} [opts.genOpts.strokeStyle] canvas stroke style. Uses default if none provided (black).
+     * @param {number} [opts.genOpts.seed] seed of the generator. Same seed leads to the same sequence of CAPTCHAs
+     * @param {boolean} [opts.genOpts.describe] whether CAPTCHAs should contain puzzle description. Default false
+     * @param {string} [opts.genOpts.format] image format, 'png', 'jpeg', 'webp' or 'svg'. Default 'png'
+     * @param {string} [opts.genOpts.output] form of image data, 'dataURL', 'buffer' or 'stream'. Default 'dataURL'
+     * @param {number} [opts.genOpts.quality] quality of jpeg or webp image in range [0, 1]
+     * @param {boolean} [opts.genOpts.accessible] whether CAPTCHAs should contain text version of the puzzle. Default false
+     * @param {string|number} [opts.genOpts.difficulty] difficulty level, 'easy', 'normal', 'hard' or number in range [0, 1]
+     * @param {number} [opts.genOpts.layers] number of layers, the puzzle grid has as many rows and columns. Default 3
+     * @param {number} [opts.genOpts.gridSize] number of rows and columns of the puzzle grid, sets number of layers
+     * @param {number} [opts.genOpts.optionsPerRow] maximum number of options in one row under the grid
+     * @param {number} [opts.genOpts.minClockIters] minimum "clock placement" iterations. Default 2
+     * @param {number} [opts.genOpts.maxClockIters] maximum "clock placement" iterations. Default 6
+     * @param {number} [opts.genOpts.choices] number of options to choose from. Default 10
+     * @param {number} [opts.genOpts.decoySimilarity] preferred similarity of wrong options in range [0, 1]
+     * @param {number} [opts.genOpts.answers] number of correct options, 1 for single-answer mode. Default 2
+     * @param {string|number|boolean|object} [opts.genOpts.noise] anti-OCR noise strength, 'none', 'low', 'medium',
+     * 'high', number in range [0, 1] or object with strengths of noise components. Default none
+     * @param {string|object} [opts.genOpts.theme] colour theme, 'light', 'dark', 'high-contrast' or theme object
+     * @param {boolean|object} [opts.genOpts.validate] whether puzzles whose options can not be told apart are rejected
+     * and created again. Default false
+     * @param {array<object|string>} [opts.genOpts.shapes] custom shapes or paths of modules exporting them
+     * @param {array<string>} [opts.genOpts.disabledShapes] names of built-in shapes which should not be used
+     * @param {array<object|string>} [opts.genOpts.painters] custom painters or paths of modules exporting them
      */
     constructor(opts = {}) {
+        super();
         this._capacity = opts.initialCapacity || 3;
         this._checkInterval = opts.checkInterval || 3000;
         this._capacityDynamic = opts.capacityDynamic !== false;
         this._capacityCutbackInterval = opts.capacityCutbackInterval || 1000 * 60 * 60;
         this._capacityCutbackMinPercentage = opts.capacityCutbackMinPercentage || .9;
         this._forks = !!opts.forks;
+        const fnPath = this._forks && _findFunction(opts.genOpts);
+        if (fnPath)
+            throw new Error(`Option genOpts.${fnPath} is a function which can not be passed to forked workers! ` +
+                'Use a module path instead or disable forks.');
+        this._workers = opts.workers !== undefined ? opts.workers : 1;
+        if (!Number.isInteger(this._workers) || this._workers < 1)
+            throw new Error('Number of workers must be a positive integer!');
+        this._generationTimeout = opts.generationTimeout || 10000;
+        this._retries = opts.retries !== undefined ? opts.retries : 2;
+        if (!Number.isInteger(this._retries) || this._retries < 0)
+            throw new Error('Number of retries must be a non-negative integer!');
+        this._healthCheckInterval = opts.healthCheckInterval !== undefined ? opts.healthCheckInterval : 30000;
         this._logger = opts.logger || {debug: f => f, log: f => f, warn: f => f, error: f => f, info: f => f};
         this._pendingCaptchas = 0;
         this._readyQue = [];
         this._awaitingQue = [];
         this._terminate = false;
         this._genOpts = opts.genOpts || {};
+        // seeds of forked jobs are picked here, so workers started with the same options do not repeat each other
+        this._seedRng = this._genOpts.seed !== undefined ? Geo.createRng(this._genOpts.seed) : Math.random;
+        this._pool = [];
+        this._jobs = new Map();
+        this._jobQueue = []; // jobs waiting for a free worker
+        this._lastJobId = 0;
+        this._diskPool = opts.diskPool ? diskPool.createDiskPool(opts.diskPool) : null;
+        this._diskPoolPending = 0;
     }
 
     /**
@@ -45,16 +112,18 @@ class CaptchaMgr {
      */
     begin() {
         !this._generator && !this._generator && (this._generator = generator.createGenerator(this._genOpts));
-        if (this._forks && !this._providerJob) {
-            this._providerJob = fork(join(__dirname, 'provider-job'), [JSON.stringify(this._genOpts)]);
-            this._providerJob.on('message', data => {
-                if (data.err)
-                    this._logger.warn(data.err);
-                else _onCreated(this, data);
-                this._pendingCaptchas--;
-            });
+        if (this._diskPool) {
+            // CAPTCHAs left on disk by previous run are used first
+            let captcha;
+            while (this._readyQue.length < this._capacity && (captcha = this._takeFromDisk()))
+                this._readyQue.push(captcha);
+        }
+        if (this._forks && !this._pool.length) {
+            for (let i = 0; i < this._workers; i++)
+                this._pool.push(this._spawnWorker());
+            if (this._healthCheckInterval > 0)
+                this._healthCheck = setInterval(() => this._checkWorkers(), this._healthCheckInterval);
         }
-
 
         this._ticking = setInterval(() => {
             this._logger.debug('--- Loop tick ---');
@@ -63,12 +132,169 @@ class CaptchaMgr {
         if (this._capacityCutbackInterval > 0 && this._capacityDynamic)
             this._cutback = setInterval(() => {
                 if (this._capacity > 2 && this._readyQue.length / this._capacity > this._capacityCutbackMinPercentage) {
-                    this._capacity--;
+                    this._setCapacity(this._capacity - 1, 'cutback');
                     this._logger.debug('Capacity cut back to ', this._capacity)
                 }
             }, Math.max(10000, this._capacityCutbackInterval));
     }
 
+    /**
+     * Forks worker process creating CAPTCHAs. Crashed worker rejects its job and is replaced by a new one. Worker
+     * crashing right after start {@link MAX_STARTUP_FAILURES} times in a row is not replaced anymore, when no worker is
+     * left, waiting jobs are rejected.
+     * @param {Number} [startupFailures] number of previous workers in a row which crashed right after start
+     * @returns {{job: ChildProcess, jobs: Number, alive: Boolean, unresponsive: Boolean, spawnTime: Number,
+     * startupFailures: Number}} worker
+     */
+    _spawnWorker(startupFailures = 0) {
+        // streams can not be sent to parent process, the child sends buffers which are streamed here
+        const streams = this._genOpts.output === 'stream',
+            jobGenOpts = Object.assign({}, this._genOpts, streams ? {output: 'buffer'} : {});
+        const worker = {
+            job: fork(join(__dirname, 'provider-job'), [JSON.stringify(jobGenOpts)], {serialization: 'advanced'}),
+            jobs: 0,
+            alive: true,
+            unresponsive: false,
+            spawnTime: Date.now(),
+            startupFailures
+        };
+        worker.job.on('message', data => {
+            const job = this._jobs.get(data.id);
+            if (!job)
+                return;
+            this._jobs.delete(data.id);
+            worker.jobs--;
+            delete data.id;
+            job.stream && !data.err && (data.data = Readable.from([data.data]));
+            data.err ? job.reject(data.err) : job.resolve(data);
+        });
+        worker.job.on('error', err => this._logger.warn(err));
+        worker.job.on('exit', (code, signal) => {
+            worker.alive = false;
+            this._jobs.forEach((job, id) => {
+                if (job.worker === worker) {
+                    this._jobs.delete(id);
+                    job.reject(new Error(`CAPTCHA worker exited with ${signal || code}!`));
+                }
+            });
+            if (this._terminate)
+                return;
+            // a worker crashing right after start is restarted with delay so it does not spin
+            const crashLoop = !worker.unresponsive && Date.now() - worker.spawnTime < 1000,
+                startupFailures = crashLoop ? worker.startupFailures + 1 : 0;
+            if (startupFailures >= MAX_STARTUP_FAILURES) {
+                this._logger.error(`CAPTCHA worker exited with ${signal || code} right after start ` +
+                    `${startupFailures} times in a row, not restarting`);
+                this._pool.splice(this._pool.indexOf(worker), 1);
+                !this._pool.length && this._jobQueue.splice(0)
+                    .forEach(job => job.reject(new Error('No CAPTCHA worker is running!')));
+                return;
+            }
+            this._logger.warn(`CAPTCHA worker exited with ${signal || code}, restarting`);
+            setTimeout(() => {
+                const index = this._pool.indexOf(worker);
+                if (!this._terminate && index >= 0) {
+                    this._pool[index] = this._spawnWorker(startupFailures);
+                    this._drain();
+                }
+            }, crashLoop ? 1000 : 0).unref();
+        });
+        return worker;
+    }
+
+    /**
+     * Sends job to the worker. Worker has one job at a time, so the job starts right away and worker which does not
+     * respond in generation timeout is killed and restarted.
+     * @param {Object} worker the worker
+     * @param {String} cmd 'provide' or 'ping'
+     * @param {Object} [createOpts] options of generator's create function
+     * @returns {Promise<Object>} response of the worker
+     */
+    _dispatch(worker, cmd, createOpts) {
+        return new Promise((resolve, reject) => {
+            const id = ++this._lastJobId;
+            const timer = setTimeout(() => {
+                this._jobs.delete(id);
+                worker.jobs--;
+                reject(new Error(`CAPTCHA worker did not respond in ${this._generationTimeout} ms!`));
+                this._logger.warn('CAPTCHA worker is unresponsive, killing it');
+                worker.unresponsive = true;
+                worker.alive && worker.job.kill('SIGKILL');
+                this._drain();
+            }, this._generationTimeout);
+            worker.jobs++;
+            this._jobs.set(id, {
+                worker,
+                stream: cmd === 'provide' && this._genOpts.output === 'stream' && !(createOpts && createOpts.output),
+                resolve: data => clearTimeout(timer) || resolve(data) || this._drain(),
+                reject: err => clearTimeout(timer) || reject(err) || this._drain()
+            });
+            worker.job.send({cmd, id, createOpts});
+        });
+    }
+
+    /**
+     * Queues job for the next free worker. The seed of the CAPTCHA is picked here unless provided.
+     * @param {Object} [createOpts] options of generator's create function
+     * @returns {Promise<Object>} created CAPTCHA
+     */
+    _provide(createOpts = {}) {
+        if (this._terminate)
+            return Promise.reject(new Error('CAPTCHA manager was terminated!'));
+        if (!this._pool.length)
+            return Promise.reject(new Error('No CAPTCHA worker is running!'));
+        const seed = createOpts.seed !== undefined ? createOpts.seed : Math.floor(this._seedRng() * Geo.SEED_RANGE);
+        return new Promise((resolve, reject) => {
+            this._jobQueue.push({createOpts: Object.assign({}, createOpts, {seed}), resolve, reject});
+            this._drain();
+        });
+    }
+
+    /**
+     * Sends waiting jobs to free workers.
+     */
+    _drain() {
+        let worker;
+        while (!this._terminate && this._jobQueue.length &&
+            (worker = this._pool.find(w => w.alive && !w.unresponsive && w.jobs === 0))) {
+            const {createOpts, resolve, reject} = this._jobQueue.shift();
+            this._dispatch(worker, 'provide', createOpts).then(resolve, reject);
+        }
+    }
+
+    /**
+     * Pings idle workers. Busy workers are checked by timeouts of their jobs.
+     */
+    _checkWorkers() {
+        this._pool.filter(worker => worker.alive && worker.jobs === 0)
+            .forEach(worker => this._dispatch(worker, 'ping').catch(err => this._logger.warn(err)));
+    }
+
+    /**
+     * Creates CAPTCHA, retrying failed attempts. Only creation in workers is limited by generationTimeout.
+     * @param {Object} [createOpts] options of generator's create function
+     * @returns {Promise<Object>} created CAPTCHA
+     */
+    async _generate(createOpts) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                if (this._forks)
+                    return await this._provide(createOpts);
+                return await this._generator.create(createOpts);
+            } catch (e) {
+                if (attempt >= this._retries || this._terminate)
+                    throw e;
+                this._logger.warn(e);
+            }
+        }
+    }
+
+    _setCapacity(capacity, reason) {
+        const previous = this._capacity;
+        this._capacity = capacity;
+        this.emit('capacityChanged', {capacity, previous, reason});
+    }
+
     _checkForCaptchas() {
         if (!this._terminate) {
             const req = (this._capacity - (this._pendingCaptchas + this._readyQue.length));
@@ -76,38 +302,119 @@ class CaptchaMgr {
             while (this._capacity > this._pendingCaptchas + this._readyQue.length) {
                 this._createCaptcha();
             }
+            this._diskPool && !this._pendingCaptchas && this._fillDiskPool();
+        }
+    }
+
+    /**
+     * Tops up the disk pool when the queue is full. Stale CAPTCHAs are thrown away first.
+     */
+    _fillDiskPool() {
+        this._diskPool.purge();
+        let missing = this._diskPool.size - this._diskPool.count() - this._diskPoolPending;
+        while (missing-- > 0 && this._diskPoolPending < this._workers)
+            this._createForDisk();
+    }
+
+    async _createForDisk() {
+        this._diskPoolPending++;
+        try {
+            // streams can not be stored, the pool keeps buffers which are streamed when taken
+            const captcha = await this._generate(this._genOpts.output === 'stream' ? {output: 'buffer'} : undefined);
+            !this._terminate && this._diskPool.put(captcha);
+        } catch (e) {
+            if (!this._terminate) {
+                this._logger.warn(e);
+                this.emit('generationError', {error: e, onDemand: false});
+            }
+        } finally {
+            this._diskPoolPending--;
+        }
+    }
+
+    /**
+     * Takes CAPTCHA out of the disk pool.
+     * @returns {Object|null} the CAPTCHA or null if the pool is empty
+     */
+    _takeFromDisk() {
+        try {
+            const captcha = this._diskPool.take();
+            captcha && this._genOpts.output === 'stream' && (captcha.data = Readable.from([captcha.data]));
+            return captcha;
+        } catch (e) {
+            this._logger.warn(e);
+            return null;
         }
     }
 
     async _createCaptcha() {
         this._pendingCaptchas++;
-        if (this._forks) {
-            this._providerJob.send('provide');
-        } else {
-            try {
-                _onCreated(this, await this._generator.create());
-                this._pendingCaptchas--;
-            } catch (e) {
+        const start = Date.now();
+        try {
+            _onCreated(this, await this._generate(), start);
+        } catch (e) {
+            if (!this._terminate) {
                 this._logger.warn(e);
+                this.emit('generationError', {error: e, onDemand: false});
             }
+        } finally {
+            this._pendingCaptchas--;
         }
     }
 
+    /**
+     * Creates CAPTCHA with specific create options right away, bypassing the queue.
+     * @param {Object} createOpts options of generator's create function
+     * @returns {Promise<Object>} created CAPTCHA
+     */
+    _createOnDemand(createOpts) {
+        const start = Date.now();
+        return this._generate(createOpts).then(captcha => {
+            this.emit('captchaCreated', _createdInfo(captcha, true, start));
+            return captcha;
+        }, err => {
+            this.emit('generationError', {error: err, onDemand: true});
+            throw err;
+        });
+    }
+
     /**
      * Retrieves ready CAPTCHA from the queue in a form of promise.
-     * @returns {Promise<{choices: Array, answer: String, data: String}>} resolved object consists of:<ul>
+     * @returns {Promise<{choices: Array, answer: String, difficulty: Object, data: String|Buffer|Readable, type: String, seed: Number}>} resolved object consists of:<ul>
      * <li>choices: list of picked letter choices</li>
-     * <li>answer: string of exactly two letters form the choices</li>
-     * <li>data: Base64 encoded picture</li>
+     * <li>answer: string of letters of all correct options, two by default</li>
+     * <li>difficulty: difficulty level and computed score from 0 to 100</li>
+     * <li>data: picture in form of the output option, Base64 encoded data URL by default</li>
+     * <li>type: MIME type of the picture</li>
+     * <li>text: text version of the puzzle, only with accessible generator option</li>
+     * <li>seed: seed the CAPTCHA was created from</li>
+     * <li>areas: rectangles of option tiles in the picture for click answers</li>
      * </ul>
+     * @param {Object} [popOpts] options
+     * @param {string|number} [popOpts.difficulty] difficulty of the CAPTCHA. If it differs from generator's difficulty,
+     * the CAPTCHA is created right away instead of taken from the queue
+     * @param {string|object} [popOpts.theme] theme of the CAPTCHA. If it differs from generator's theme, the CAPTCHA is
+     * created right away instead of taken from the queue
+     * @param {number} [popOpts.timeout] time limit in milliseconds, rejects with CaptchaTimeoutError when exceeded
+     * @param {AbortSignal} [popOpts.signal] signal rejecting with CaptchaAbortError when aborted
      */
-    async popCaptcha() {
+    async popCaptcha(popOpts = {}) {
+        const {timeout, signal} = popOpts;
+        if (signal && signal.aborted)
+            throw new CaptchaAbortError(signal.reason);
+        const differs = key => popOpts[key] !== undefined && popOpts[key] !== this._genOpts[key];
+        if (differs('difficulty') || differs('theme'))
+            return _waitFor(this._createOnDemand({difficulty: popOpts.difficulty, theme: popOpts.theme}), timeout,
+                signal);
+
         const _tryGettingCaptcha = () => {
             if (this._readyQue.length <= 2 && this._capacityDynamic)
-                this._capacity++;
+                this._setCapacity(this._capacity + 1, 'demand');
             if (this._awaitingQue.length === 0 && this._readyQue.length > 0) {
                 return this._readyQue.shift();
             }
+            if (this._awaitingQue.length === 0 && this._diskPool)
+                return this._takeFromDisk();
             return null;
         };
 
@@ -119,7 +426,26 @@ class CaptchaMgr {
             resolveFunc = resolve;
         });
         this._awaitingQue.push(resolveFunc);
-        return futureResult;
+        this.emit('queueStarved', {awaiting: this._awaitingQue.length, pending: this._pendingCaptchas,
+            capacity: this._capacity});
+        return _waitFor(futureResult, timeout, signal, () => {
+            const index = this._awaitingQue.indexOf(resolveFunc);
+            index >= 0 && this._awaitingQue.splice(index, 1);
+        });
+    }
+
+    /**
+     * Gets current state of the queue.
+     * @returns {{capacity: Number, ready: Number, awaiting: Number, pending: Number}} capacity, count of ready
+     * CAPTCHAs, count of requests waiting for a CAPTCHA and count of CAPTCHAs being created
+     */
+    getStats() {
+        return {
+            capacity: this._capacity,
+            ready: this._readyQue.length,
+            awaiting: this._awaitingQue.length,
+            pending: this._pendingCaptchas
+        };
     }
 
     /**
@@ -130,14 +456,83 @@ class CaptchaMgr {
         this._terminate = true;
         this._ticking && this._ticking.close();
         this._cutback && this._cutback.close();
-        this._providerJob && this._providerJob.kill();
+        this._healthCheck && this._healthCheck.close();
+        this._pool.forEach(worker => worker.alive && worker.job.kill());
+        this._jobQueue.splice(0).forEach(job => job.reject(new Error('CAPTCHA manager was terminated!')));
     }
 }
 
-const _onCreated = (captchaMgr, res) => {
+/**
+ * Number of workers in a row crashing right after start after which the worker is not restarted anymore.
+ *  @constant
+ */
+const MAX_STARTUP_FAILURES = 5;
+
+/**
+ * Finds function in options, which can not be sent to forked workers.
+ * @param {*} value options or their part
+ * @param {String} [path] path of the value in options
+ * @returns {String|undefined} path of the first function found
+ */
+const _findFunction = (value, path = '') => {
+    if (typeof value === 'function')
+        return path;
+    if (value && typeof value === 'object')
+        for (const key of Object.keys(value)) {
+            const found = _findFunction(value[key], path ? `${path}.${key}` : key);
+            if (found !== undefined)
+                return found;
+        }
+};
+
+/**
+ * Rejects with error created by onTimeout if the promise does not settle in time.
+ * @param {Promise} promise the promise
+ * @param {Number} timeout time limit in milliseconds
+ * @param {function(): Error} onTimeout function creating the error
+ * @returns {Promise} promise settling as the promise or rejecting on timeout
+ */
+const _deadline = (promise, timeout, onTimeout) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(onTimeout()), timeout);
+    promise.then(value => clearTimeout(timer) || resolve(value), err => clearTimeout(timer) || reject(err));
+});
+
+/**
+ * Waits for CAPTCHA until timeout or abort signal. Calls cancel when giving up.
+ * @param {Promise<Object>} promise promise of the CAPTCHA
+ * @param {Number} [timeout] time limit in milliseconds
+ * @param {AbortSignal} [signal] abort signal
+ * @param {function} [cancel] function called on timeout or abort
+ * @returns {Promise<Object>} the CAPTCHA
+ */
+const _waitFor = (promise, timeout, signal, cancel = () => undefined) => {
+    if (timeout === undefined && !signal)
+        return promise;
+    if (timeout !== undefined)
+        promise = _deadline(promise, timeout, () => new CaptchaTimeoutError(timeout));
+    if (signal)
+        promise = new Promise((resolve, reject) => {
+            const onAbort = () => reject(new CaptchaAbortError(signal.reason));
+            signal.addEventListener('abort', onAbort, {once: true});
+            const settle = () => signal.removeEventListener('abort', onAbort);
+            promise.then(value => settle() || resolve(value), err => settle() || reject(err));
+        });
+    return promise.catch(err => {
+        cancel();
+        throw err;
+    });
+};
+
+const _createdInfo = (captcha, onDemand, start) => ({seed: captcha.seed, difficulty: captcha.difficulty, onDemand,
+    duration: Date.now() - start});
+
+const _onCreated = (captchaMgr, res, start) => {
+    captchaMgr.emit('captchaCreated', _createdInfo(res, false, start));
     if (captchaMgr._awaitingQue.length)
         captchaMgr._awaitingQue.shift()(res);
     else captchaMgr._readyQue.push(res);
 };
 
-module.exports = {CaptchaMgr, generator, CaptchaAuthr: authr};
\ No newline at end of file
+module.exports = {
+    CaptchaMgr, generator, CaptchaAuthr: authr, metrics, CaptchaTimeoutError, CaptchaAbortError, CaptchaValidationError
+};
\ No newline at end of file
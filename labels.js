@@ -0,0 +1,100 @@
+/**
+ * Label sets of options
+ * @module labels
+ */
+
+'use strict';
+
+/**
+ * Built-in label sets. Emoji need a font with emoji glyphs on the host when drawing raster images.
+ *  @constant
+ */
+const LABEL_SETS = {
+    latin: 'ADEIHKMNOPSTWXZ'.split(''),
+    digits: '0123456789'.split(''),
+    greek: 'ΓΔΘΛΞΠΣΦΨΩ'.split(''),
+    cyrillic: 'БГДЖЗИЛПФЦЧШЩЫЭЮЯ'.split(''),
+    emoji: ['🍎', '🐟', '🚗', '🌵', '🎈', '🔑', '⚽', '🎸', '🍄', '🐝', '🦊', '🍉']
+};
+/**
+ * Groups of labels which look alike in common fonts, including Latin, Greek and Cyrillic homoglyphs.
+ *  @constant
+ */
+const CONFUSABLE = [
+    ['O', '0', 'Q', 'Ο', 'О'], ['I', 'l', '1', '|', 'Ι', 'І'], ['S', '5'], ['Z', '2', 'Ζ'], ['B', '8', 'Β', 'В'],
+    ['G', '6', 'Б'], ['3', 'З'], ['4', 'Ч'], ['A', 'Α', 'А'], ['E', 'Ε', 'Е'], ['H', 'Η', 'Н'], ['K', 'Κ', 'К'],
+    ['M', 'Μ', 'М'], ['N', 'Ν'], ['P', 'Ρ', 'Р'], ['T', 'Τ', 'Т'], ['X', 'Χ', 'Х'], ['Y', 'Υ', 'У'], ['C', 'С'],
+    ['U', 'V'], ['Л', 'Λ'], ['П', 'Π'], ['Ф', 'Φ']
+];
+/**
+ * Characters which can not be part of a label since they separate labels in answers.
+ *  @constant
+ */
+const SEPARATORS = /[\s,;]/;
+
+/**
+ * Finds groups of labels that look alike.
+ * @param {Array<String>} labels labels to check
+ * @returns {Array<Array<String>>} groups of confusable labels
+ */
+const findConfusable = labels => {
+    const upper = labels.map(label => label.toUpperCase());
+    return CONFUSABLE.map(group => labels.filter((label, i) => group.includes(label) || group.includes(upper[i])))
+        .filter(found => found.length > 1);
+};
+
+/**
+ * Resolves labels of options. Labels are tokens such as letters, digits, words or emoji. They have to be distinct
+ * ignoring case since answers are case insensitive. Emits a warning when some of them look alike.
+ * @param {String|Array<String>} [labels] name of built-in label set, see {@link LABEL_SETS}, or array of labels.
+ * Default latin
+ * @returns {Array<String>} labels
+ */
+const resolveLabels = (labels = LABEL_SETS.latin) => {
+    if (typeof labels === 'string') {
+        if (!LABEL_SETS.hasOwnProperty(labels))
+            throw new Error(`Unknown label set ${labels}!`);
+        labels = LABEL_SETS[labels];
+    }
+    if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string' || !label || SEPARATORS.test(label)))
+        throw new Error('Labels must be non-empty strings without whitespace, commas and semicolons!');
+    if (new Set(labels.map(label => label.toLowerCase())).size !== labels.length)
+        throw new Error('Labels must be distinct ignoring case!');
+    findConfusable(labels).forEach(group => process.emitWarning(`Labels ${group.join(', ')} look alike.`,
+        'IQCaptchaWarning'));
+    return [...labels];
+};
+
+/**
+ * Joins labels to answer string. Single character labels are joined without separator, e.g. 'AD', longer labels
+ * are separated by space.
+ * @param {Array<String>} labels labels to join
+ * @returns {String} answer
+ */
+const joinLabels = labels => labels.join(labels.some(label => [...label].length > 1) ? ' ' : '');
+
+/**
+ * Splits typed answer to labels. Labels are matched case insensitively, longer labels first, and separators are
+ * skipped. Characters not matching any label are kept as labels of their own, so such answer does not match.
+ * @param {String} ans typed answer
+ * @param {Array<String>} [labels] labels of the CAPTCHA options
+ * @returns {Array<String>} lowercase labels
+ */
+const splitLabels = (ans, labels = []) => {
+    const known = labels.map(label => label.toLowerCase()).sort((l1, l2) => l2.length - l1.length),
+        text = String(ans).toLowerCase(),
+        split = [];
+    for (let i = 0; i < text.length;) {
+        if (SEPARATORS.test(text[i])) {
+            i++;
+            continue;
+        }
+        const label = known.find(candidate => text.startsWith(candidate, i)) ||
+            String.fromCodePoint(text.codePointAt(i));
+        split.push(label);
+        i += label.length;
+    }
+    return split;
+};
+
+module.exports = {LABEL_SETS, SEPARATORS, resolveLabels, findConfusable, joinLabels, splitLabels};
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Coverage mask drawing context
+ * @module mask-context
+ */
+
+'use strict';
+
+const SvgContext = require('./svg-context');
+
+/**
+ * Number of straight segments a curve is flattened to.
+ *  @constant
+ */
+const CURVE_SEGMENTS = 16;
+/**
+ * Minimal half width of stroked lines in pixels, so thin lines stay connected.
+ *  @constant
+ */
+const MIN_HALF_WIDTH = .75;
+
+const _distance = (px, py, [x1, y1], [x2, y2]) => {
+    const dx = x2 - x1, dy = y2 - y1, length = dx * dx + dy * dy,
+        t = length ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / length)) : 0;
+    return Math.hypot(px - x1 - t * dx, py - y1 - t * dy);
+};
+
+/**
+ * Class that mimics the same subset of canvas 2D context as {@link SvgContext} and rasterizes the drawing into
+ * a coverage mask without any native module. Every pixel holds the number of fills and strokes covering its center.
+ * Colours and text are ignored, so masks tell what shapes look like, not how they are styled.
+ * @class MaskContext
+ */
+class MaskContext extends SvgContext {
+    /**
+     * @constructs MaskContext
+     * @param {Number} width width of the mask in pixels
+     * @param {Number} height height of the mask in pixels
+     */
+    constructor(width, height) {
+        super(Math.ceil(width), Math.ceil(height));
+        this.data = new Uint8Array(this.width * this.height);
+    }
+
+    beginPath() {
+        this._path = [];
+        this._current = null;
+        this._subpathStart = null;
+    }
+
+    moveTo(x, y) {
+        this._path.push([this._device(x, y)]);
+        this._current = this._subpathStart = [x, y];
+    }
+
+    lineTo(x, y) {
+        if (!this._current)
+            return this.moveTo(x, y);
+        this._path[this._path.length - 1].push(this._device(x, y));
+        this._current = [x, y];
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this._current)
+            this.moveTo(cpx, cpy);
+        const [x0, y0] = this._current;
+        for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+            const t = i / CURVE_SEGMENTS, u = 1 - t;
+            this.lineTo(u * u * x0 + 2 * u * t * cpx + t * t * x, u * u * y0 + 2 * u * t * cpy + t * t * y);
+        }
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this._current)
+            this.moveTo(cp1x, cp1y);
+        const [x0, y0] = this._current;
+        for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+            const t = i / CURVE_SEGMENTS, u = 1 - t;
+            this.lineTo(u * u * u * x0 + 3 * u * u * t * cp1x + 3 * u * t * t * cp2x + t * t * t * x,
+                u * u * u * y0 + 3 * u * u * t * cp1y + 3 * u * t * t * cp2y + t * t * t * y);
+        }
+    }
+
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        const at = angle => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+        this._current ? this.lineTo(...at(startAngle)) : this.moveTo(...at(startAngle));
+        let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep <= 0 && sweep > -2 * Math.PI)
+            sweep += 2 * Math.PI;
+        sweep = Math.min(sweep, 2 * Math.PI);
+        const segments = Math.max(1, Math.ceil(sweep / (2 * Math.PI) * 4 * CURVE_SEGMENTS)),
+            dir = anticlockwise ? -1 : 1;
+        for (let i = 1; i <= segments; i++)
+            this.lineTo(...at(startAngle + dir * sweep * i / segments));
+    }
+
+    closePath() {
+        if (this._subpathStart) {
+            const [x, y] = this._subpathStart;
+            this.lineTo(x, y);
+            this._path.push([this._device(x, y)]);
+        }
+    }
+
+    /**
+     * Covers pixels whose centers are inside the path by the nonzero winding rule.
+     */
+    fill() {
+        const edges = [];
+        this._path.forEach(points => points.forEach((point, i) =>
+            edges.push([point, points[(i + 1) % points.length]])));
+        const covered = new Uint8Array(this.data.length);
+        for (let y = 0; y < this.height; y++) {
+            const cy = y + .5, crossings = [];
+            edges.forEach(([[x1, y1], [x2, y2]]) => {
+                if ((y1 <= cy) !== (y2 <= cy))
+                    crossings.push({x: x1 + (cy - y1) / (y2 - y1) * (x2 - x1), dir: y2 > y1 ? 1 : -1});
+            });
+            crossings.sort((c1, c2) => c1.x - c2.x);
+            let winding = 0;
+            crossings.forEach((crossing, i) => {
+                winding += crossing.dir;
+                if (winding && i + 1 < crossings.length)
+                    for (let x = Math.max(0, Math.ceil(crossing.x - .5));
+                         x < this.width && x + .5 < crossings[i + 1].x; x++)
+                        covered[y * this.width + x] = 1;
+            });
+        }
+        this._cover(covered);
+    }
+
+    /**
+     * Covers pixels whose centers are closer to the path than half of the line width.
+     */
+    stroke() {
+        const halfWidth = Math.max(MIN_HALF_WIDTH, this._state.lineWidth * this._scaleFactor() / 2),
+            covered = new Uint8Array(this.data.length);
+        this._path.forEach(points => points.slice(1).forEach((point, i) => {
+            const from = points[i],
+                x0 = Math.max(0, Math.floor(Math.min(from[0], point[0]) - halfWidth)),
+                x1 = Math.min(this.width - 1, Math.ceil(Math.max(from[0], point[0]) + halfWidth)),
+                y0 = Math.max(0, Math.floor(Math.min(from[1], point[1]) - halfWidth)),
+                y1 = Math.min(this.height - 1, Math.ceil(Math.max(from[1], point[1]) + halfWidth));
+            for (let y = y0; y <= y1; y++)
+                for (let x = x0; x <= x1; x++)
+                    if (_distance(x + .5, y + .5, from, point) <= halfWidth)
+                        covered[y * this.width + x] = 1;
+        }));
+        this._cover(covered);
+    }
+
+    toSVG() {
+        throw new Error('Mask context can not be serialized to SVG!');
+    }
+
+    _device(x, y) {
+        const [a, b, c, d, e, f] = this._state.matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    _cover(covered) {
+        covered.forEach((value, i) => value && this.data[i] < 255 && this.data[i]++);
+    }
+
+    _text() {
+    }
+}
+
+/**
+ * Compares two masks of the same size. A pixel differs only if no pixel of the other mask in its neighbourhood has
+ * the same coverage, so edges shifted by rounding do not count.
+ * @param {MaskContext} mask1 first mask
+ * @param {MaskContext} mask2 second mask
+ * @returns {Number} share of covered pixels which differ, in range [0, 1]
+ */
+const compareMasks = (mask1, mask2) => {
+    if (mask1.width !== mask2.width || mask1.height !== mask2.height)
+        throw new Error('Compared masks must have the same size!');
+    const {width, height} = mask1;
+    const matches = (data, x, y, value) => {
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++)
+            for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++)
+                if (data[ny * width + nx] === value)
+                    return true;
+        return false;
+    };
+    let covered = 0, differing = 0;
+    for (let y = 0; y < height; y++)
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x, value1 = mask1.data[i], value2 = mask2.data[i];
+            if (!value1 && !value2)
+                continue;
+            covered++;
+            if (value1 !== value2 && !(matches(mask2.data, x, y, value1) && matches(mask1.data, x, y, value2)))
+                differing++;
+        }
+    return covered ? differing / covered : 0;
+};
+
+MaskContext.compareMasks = compareMasks;
+
+module.exports = MaskContext;
\ No newline at end of file
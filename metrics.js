@@ -0,0 +1,172 @@
+/**
+ * Metrics of CAPTCHA managers and authenticators in Prometheus text format
+ * @module metrics
+ */
+
+'use strict';
+
+/**
+ * Content type of Prometheus text format.
+ *  @constant
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+/**
+ * Default histogram buckets in seconds.
+ *  @constant
+ */
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const _escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const _labelKey = labels => Object.keys(labels).sort().map(name => `${name}="${_escape(labels[name])}"`).join(',');
+const _line = (name, key, value) => `${name}${key ? `{${key}}` : ''} ${value}`;
+
+/**
+ * Creates metrics registry. Counters and histograms are recorded as events happen, gauges are collected when
+ * rendered.
+ * @param {Object} [opts] options
+ * @param {String} [opts.prefix] prefix of metric names. Default 'iqcaptcha_'
+ * @returns {{counter: function, histogram: function, gauge: function, watchMgr: function, watchAuthr: function,
+ * render: function}} metrics registry
+ */
+const createMetrics = (opts = {}) => {
+    const prefix = opts.prefix !== undefined ? opts.prefix : 'iqcaptcha_';
+    const families = new Map();
+
+    const _family = (name, help, type, props) => {
+        const fullName = prefix + name;
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(fullName))
+            throw new Error(`Invalid metric name ${fullName}!`);
+        if (families.has(fullName))
+            throw new Error(`Metric ${fullName} already exists!`);
+        const family = Object.assign({name: fullName, help, type, series: new Map()}, props);
+        families.set(fullName, family);
+        return family;
+    };
+
+    /**
+     * Creates counter.
+     * @param {String} name metric name without prefix
+     * @param {String} help description of the metric
+     * @returns {{inc: function(Object=, Number=)}} counter increased by value, default 1, for labels
+     */
+    const counter = (name, help) => {
+        const family = _family(name, help, 'counter');
+        return {
+            inc: (labels = {}, value = 1) => {
+                const key = _labelKey(labels);
+                family.series.set(key, (family.series.get(key) || 0) + value);
+            }
+        };
+    };
+
+    /**
+     * Creates histogram.
+     * @param {String} name metric name without prefix
+     * @param {String} help description of the metric
+     * @param {Array<Number>} [buckets] upper bounds of buckets, see {@link BUCKETS}
+     * @returns {{observe: function(Object, Number)}} histogram observing value for labels
+     */
+    const histogram = (name, help, buckets = BUCKETS) => {
+        const family = _family(name, help, 'histogram', {buckets: [...buckets].sort((b1, b2) => b1 - b2)});
+        return {
+            observe: (labels = {}, value) => {
+                const key = _labelKey(labels);
+                if (!family.series.has(key))
+                    family.series.set(key, {labels, counts: family.buckets.map(() => 0), sum: 0, count: 0});
+                const series = family.series.get(key);
+                family.buckets.forEach((bound, i) => value <= bound && series.counts[i]++);
+                series.sum += value;
+                series.count++;
+            }
+        };
+    };
+
+    /**
+     * Creates gauge collected when rendered.
+     * @param {String} name metric name without prefix
+     * @param {String} help description of the metric
+     * @param {function(): Number|Array<{labels: Object, value: Number}>} collect function returning current value or
+     * values with labels
+     */
+    const gauge = (name, help, collect) => {
+        _family(name, help, 'gauge', {collect});
+    };
+
+    const mgrs = [];
+    let mgrMetrics, authrMetrics;
+
+    /**
+     * Records CAPTCHAs created, generation latency and errors of the manager. Ready and awaiting queue depths,
+     * pending CAPTCHAs and capacity are collected as gauges, summed over all watched managers.
+     * @param {CaptchaMgr} mgr CAPTCHA manager
+     */
+    const watchMgr = mgr => {
+        if (!mgrMetrics) {
+            mgrMetrics = {
+                created: counter('captchas_created_total', 'CAPTCHAs created.'),
+                errors: counter('generation_errors_total', 'Failed CAPTCHA creations.'),
+                starved: counter('queue_starved_total', 'CAPTCHA requests which had to wait for creation.'),
+                duration: histogram('generation_duration_seconds', 'Time of CAPTCHA creation.')
+            };
+            const stat = key => () => mgrs.reduce((sum, m) => sum + m.getStats()[key], 0);
+            gauge('ready_captchas', 'CAPTCHAs ready in the queue.', stat('ready'));
+            gauge('awaiting_requests', 'CAPTCHA requests waiting for creation.', stat('awaiting'));
+            gauge('pending_captchas', 'CAPTCHAs being created.', stat('pending'));
+            gauge('capacity', 'Capacity of the CAPTCHA queue.', stat('capacity'));
+        }
+        mgrs.push(mgr);
+        mgr.on('captchaCreated', info => {
+            const labels = {on_demand: String(info.onDemand)};
+            mgrMetrics.created.inc(labels);
+            mgrMetrics.duration.observe(labels, info.duration / 1000);
+        });
+        mgr.on('generationError', info => mgrMetrics.errors.inc({on_demand: String(info.onDemand)}));
+        mgr.on('queueStarved', () => mgrMetrics.starved.inc());
+    };
+
+    /**
+     * Records authentication attempts by resulting state and authentication events.
+     * @param {CaptchaAuthr} authr authenticator
+     */
+    const watchAuthr = authr => {
+        if (!authrMetrics)
+            authrMetrics = {
+                attempts: counter('auth_attempts_total', 'Authentication attempts by resulting state.'),
+                events: counter('auth_events_total', 'Authentication events.')
+            };
+        authr.on('attempt', info => authrMetrics.attempts.inc({state: info.state}));
+        ['success', 'wrong', 'limited', 'tooFast', 'timeout', 'expired']
+            .forEach(event => authr.on(event, () => authrMetrics.events.inc({event})));
+    };
+
+    /**
+     * Renders all metrics in Prometheus text format, see {@link CONTENT_TYPE}.
+     * @returns {String} metrics
+     */
+    const render = () => {
+        const lines = [];
+        families.forEach(family => {
+            lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+                `# TYPE ${family.name} ${family.type}`);
+            if (family.type === 'gauge') {
+                const collected = family.collect();
+                (Array.isArray(collected) ? collected : [{labels: {}, value: collected}])
+                    .forEach(item => lines.push(_line(family.name, _labelKey(item.labels || {}), item.value)));
+            } else if (family.type === 'histogram') {
+                family.series.forEach((series, key) => {
+                    family.buckets.forEach((bound, i) => lines.push(_line(family.name + '_bucket',
+                        _labelKey(Object.assign({}, series.labels, {le: bound})), series.counts[i])));
+                    lines.push(_line(family.name + '_bucket', _labelKey(Object.assign({}, series.labels, {le: '+Inf'})),
+                        series.count));
+                    lines.push(_line(family.name + '_sum', key, series.sum), _line(family.name + '_count', key,
+                        series.count));
+                });
+            } else family.series.forEach((value, key) => lines.push(_line(family.name, key, value)));
+        });
+        return lines.join('\n') + '\n';
+    };
+
+    return {counter, histogram, gauge, watchMgr, watchAuthr, render};
+};
+
+module.exports = {CONTENT_TYPE, BUCKETS, createMetrics};
\ No newline at end of file
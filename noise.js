@@ -0,0 +1,153 @@
+/**
+ * Anti-OCR noise and distortion of the puzzle image
+ * @module noise
+ */
+
+'use strict';
+
+const Geo = require('./geometry');
+
+/**
+ * Named noise strength levels and their numeric values.
+ *  @constant
+ */
+const LEVELS = {none: 0, low: .3, medium: .6, high: 1};
+/**
+ * Noise components. Each of them has its own strength in range [0, 1]:
+ * specks - background specks, lines - curved line clutter over the image, jitter - random offsets of tiles,
+ * warp - slight rotation and skew of tiles, letters - font, size and rotation variation of letters,
+ * colors - colour variation of shapes.
+ *  @constant
+ */
+const COMPONENTS = ['specks', 'lines', 'jitter', 'warp', 'letters', 'colors'];
+/**
+ * Fonts letters are picked from.
+ *  @constant
+ */
+const FONTS = ['serif', 'sans-serif', 'monospace'];
+/**
+ * Salt of the noise seed. Noise uses its own random sequence so it does not change the puzzle itself.
+ *  @constant
+ */
+const SEED_SALT = 0x9e3779b9;
+
+const _strength = value => {
+    const strength = typeof value === 'string' ? LEVELS[value] : value;
+    if (typeof strength !== 'number' || !(strength >= 0 && strength <= 1))
+        throw new Error(`Invalid noise strength ${value}!`);
+    return strength;
+};
+
+/**
+ * Resolves noise settings.
+ * @param {String|Number|Boolean|Object} [noise] 'none', 'low', 'medium', 'high', number in range [0, 1], true for
+ * 'medium' or object with strength of all components and/or strengths of single components, e.g.
+ * {strength: 'low', lines: 1}
+ * @returns {Object|null} strengths of components or null if there is no noise
+ */
+const resolveNoise = noise => {
+    if (noise === undefined || noise === null || noise === false)
+        return null;
+    const opts = typeof noise === 'object' ? noise : {strength: noise === true ? 'medium' : noise};
+    const strength = _strength(opts.strength !== undefined ? opts.strength : 0);
+    const settings = COMPONENTS.reduce((settings, key) =>
+        Object.assign(settings, {[key]: opts[key] !== undefined ? _strength(opts[key]) : strength}), {});
+    return COMPONENTS.some(key => settings[key] > 0) ? settings : null;
+};
+
+/**
+ * Decides noise of described puzzle. All values are in pixels of the described tile resolution.
+ * @param {Object} description puzzle description without noise
+ * @param {Object} settings noise settings, see {@link resolveNoise}
+ * @param {{width: Number, height: Number}} size size of the image in described tile resolution
+ * @returns {{specks: Array, lines: Array, grid: Array<Array<Object>>, options: Array<Object>}} noise description
+ */
+const decideNoise = (description, settings, size) => {
+    const rng = Geo.createRng((description.seed ^ SEED_SALT) >>> 0),
+        res = description.tileRes;
+    const between = (min, max) => (min + rng() * (max - min));
+    const around = range => (between(-range, range));
+    const color = (max, alphaMin, alphaMax) => `rgba(${[0, 0, 0].map(() => Math.floor(rng() * (max + 1)))
+        .join(',')},${between(alphaMin, alphaMax).toFixed(2)})`;
+
+    const specks = [...Array(Math.round(400 * settings.specks)).keys()].map(() => ({
+        x: rng() * size.width,
+        y: rng() * size.height,
+        r: between(.005, .02) * res,
+        color: color(255, .1, .35)
+    }));
+    const lines = [...Array(Math.round(12 * settings.lines)).keys()].map(() => ({
+        points: [...Array(3).keys()].reduce(points => points.concat(rng() * size.width, rng() * size.height), []),
+        width: between(.005, .02) * res,
+        color: color(120, .15, .4)
+    }));
+    const distortion = tile => ({
+        dx: around(res / 20 * settings.jitter),
+        dy: around(res / 20 * settings.jitter),
+        rotation: around(8 * settings.warp),
+        skewX: around(.15 * settings.warp),
+        skewY: around(.15 * settings.warp),
+        colors: (tile.layers || []).map(() => (settings.colors ? color(Math.round(200 * settings.colors), .2, .3)
+            : undefined)),
+        letter: {
+            font: settings.letters ? FONTS[Math.floor(rng() * FONTS.length)] : undefined,
+            scale: 1 + around(.25 * settings.letters),
+            rotation: around(25 * settings.letters)
+        }
+    });
+    return {
+        specks,
+        lines,
+        grid: description.grid.map(row => row.map(distortion)),
+        options: description.options.map(distortion)
+    };
+};
+
+/**
+ * Paints background specks.
+ * @param {Object} ctx canvas context
+ * @param {Object} noise noise description
+ */
+const paintSpecks = (ctx, noise) => {
+    noise.specks.forEach(speck => {
+        ctx.save();
+        ctx.fillStyle = speck.color;
+        ctx.beginPath();
+        ctx.arc(speck.x, speck.y, speck.r, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.restore();
+    });
+};
+
+/**
+ * Paints line clutter over the image.
+ * @param {Object} ctx canvas context
+ * @param {Object} noise noise description
+ */
+const paintLines = (ctx, noise) => {
+    noise.lines.forEach(line => {
+        const [x1, y1, cx, cy, x2, y2] = line.points;
+        ctx.save();
+        ctx.strokeStyle = line.color;
+        ctx.lineWidth = line.width;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.quadraticCurveTo(cx, cy, x2, y2);
+        ctx.stroke();
+        ctx.restore();
+    });
+};
+
+/**
+ * Rotates and skews the tile. Context has to be in the middle of the tile, jitter offsets are applied by the layout.
+ * @param {Object} ctx canvas context
+ * @param {Object} [distortion] distortion of the tile
+ */
+const warpTile = (ctx, distortion) => {
+    if (!distortion)
+        return;
+    ctx.rotate(distortion.rotation * Math.PI / 180);
+    ctx.transform(1, distortion.skewY, distortion.skewX, 1, 0, 0);
+};
+
+module.exports = {LEVELS, COMPONENTS, resolveNoise, decideNoise, paintSpecks, paintLines, warpTile};
\ No newline at end of file
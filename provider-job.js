@@ -3,11 +3,13 @@ const genOpts = JSON.parse(process.argv[2] || "");
 const generator = require('./generator').createGenerator(genOpts);
 
 process.on('message', msg => {
-    if (msg === 'provide') {
-        generator.create().then(result => {
-            process.send(result);
+    if (msg && msg.cmd === 'ping')
+        return process.send({id: msg.id, pong: true});
+    if (msg === 'provide' || (msg && msg.cmd === 'provide')) {
+        generator.create(msg.createOpts).then(result => {
+            process.send(msg.id !== undefined ? Object.assign(result, {id: msg.id}) : result);
         }).catch(err => {
-            process.send({err});
+            process.send({err, id: msg.id});
         });
     }
 });
\ No newline at end of file
@@ -0,0 +1,334 @@
+/**
+ * SVG drawing context
+ * @module svg-context
+ */
+
+'use strict';
+
+/**
+ * Number of decimal places kept in coordinates.
+ *  @constant
+ */
+const PRECISION = 3;
+/**
+ * Estimated average width of a glyph in ems. SVG can not measure text, so it is used to tell whether text is wider
+ * than maxWidth of {@link SvgContext#fillText}.
+ *  @constant
+ */
+const GLYPH_WIDTH = .6;
+
+const _num = n => String(Number(n.toFixed(PRECISION)));
+const _escape = str => String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Linear gradient created by {@link SvgContext#createLinearGradient}.
+ * @class SvgGradient
+ */
+class SvgGradient {
+    constructor(x0, y0, x1, y1) {
+        this.points = [x0, y0, x1, y1];
+        this.stops = [];
+    }
+
+    /**
+     * Adds color stop to the gradient.
+     * @param {Number} offset offset in range [0, 1]
+     * @param {String} color CSS color
+     */
+    addColorStop(offset, color) {
+        this.stops.push({offset, color});
+    }
+}
+
+/**
+ * Class that mimics the subset of canvas 2D context used by shapes and painters and records the drawing as SVG.
+ * @class SvgContext
+ */
+class SvgContext {
+    /**
+     * @constructs SvgContext
+     * @param {Number} width width of the image
+     * @param {Number} height height of the image
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this._state = {
+            matrix: [1, 0, 0, 1, 0, 0],
+            lineWidth: 1,
+            strokeStyle: '#000',
+            fillStyle: '#000',
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic'
+        };
+        this._stack = [];
+        this._path = [];
+        this._elements = [];
+        this._defs = [];
+    }
+
+    get lineWidth() {
+        return this._state.lineWidth;
+    }
+
+    set lineWidth(value) {
+        this._state.lineWidth = value;
+    }
+
+    get strokeStyle() {
+        return this._state.strokeStyle;
+    }
+
+    set strokeStyle(value) {
+        this._state.strokeStyle = value;
+    }
+
+    get fillStyle() {
+        return this._state.fillStyle;
+    }
+
+    set fillStyle(value) {
+        this._state.fillStyle = value;
+    }
+
+    get font() {
+        return this._state.font;
+    }
+
+    set font(value) {
+        this._state.font = value;
+    }
+
+    get textAlign() {
+        return this._state.textAlign;
+    }
+
+    set textAlign(value) {
+        this._state.textAlign = value;
+    }
+
+    get textBaseline() {
+        return this._state.textBaseline;
+    }
+
+    set textBaseline(value) {
+        this._state.textBaseline = value;
+    }
+
+    save() {
+        this._stack.push(Object.assign({}, this._state, {matrix: [...this._state.matrix]}));
+    }
+
+    restore() {
+        if (this._stack.length)
+            this._state = this._stack.pop();
+    }
+
+    /**
+     * Multiplies current transformation matrix by provided one.
+     */
+    transform(a, b, c, d, e, f) {
+        const [ma, mb, mc, md, me, mf] = this._state.matrix;
+        this._state.matrix = [
+            ma * a + mc * b, mb * a + md * b,
+            ma * c + mc * d, mb * c + md * d,
+            ma * e + mc * f + me, mb * e + md * f + mf
+        ];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    beginPath() {
+        this._path = [];
+        this._current = null;
+        this._subpathStart = null;
+    }
+
+    moveTo(x, y) {
+        const p = this._point(x, y);
+        this._path.push(`M${p}`);
+        this._current = this._subpathStart = [x, y];
+    }
+
+    lineTo(x, y) {
+        if (!this._current)
+            return this.moveTo(x, y);
+        this._path.push(`L${this._point(x, y)}`);
+        this._current = [x, y];
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this._current)
+            this.moveTo(cpx, cpy);
+        this._path.push(`Q${this._point(cpx, cpy)} ${this._point(x, y)}`);
+        this._current = [x, y];
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this._current)
+            this.moveTo(cp1x, cp1y);
+        this._path.push(`C${this._point(cp1x, cp1y)} ${this._point(cp2x, cp2y)} ${this._point(x, y)}`);
+        this._current = [x, y];
+    }
+
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        const at = angle => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+        const [sx, sy] = at(startAngle);
+        this._current ? this.lineTo(sx, sy) : this.moveTo(sx, sy);
+        let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep <= 0 && sweep > -2 * Math.PI)
+            sweep += 2 * Math.PI;
+        const r = _num(radius * this._scaleFactor()),
+            sweepFlag = (anticlockwise ? 0 : 1) ^ (this._determinant() < 0 ? 1 : 0);
+        const arcTo = (angle, large) => {
+            const [px, py] = at(angle);
+            this._path.push(`A${r} ${r} 0 ${large} ${sweepFlag} ${this._point(px, py)}`);
+            this._current = [px, py];
+        };
+        const dir = anticlockwise ? -1 : 1;
+        if (sweep >= 2 * Math.PI) {
+            arcTo(startAngle + dir * Math.PI, 0);
+            arcTo(startAngle + dir * 2 * Math.PI, 0);
+        } else arcTo(startAngle + dir * sweep, sweep > Math.PI ? 1 : 0);
+    }
+
+    closePath() {
+        if (this._subpathStart) {
+            this._path.push('Z');
+            this._current = this._subpathStart;
+        }
+    }
+
+    stroke() {
+        if (this._path.length)
+            this._elements.push(`<path d="${this._path.join('')}" fill="none"${this._paintAttrs('stroke',
+                this._state.strokeStyle)} stroke-width="${_num(this._state.lineWidth * this._scaleFactor())}"/>`);
+    }
+
+    fill() {
+        if (this._path.length)
+            this._elements.push(`<path d="${this._path.join('')}"${this._paintAttrs('fill',
+                this._state.fillStyle)}/>`);
+    }
+
+    strokeRect(x, y, w, h) {
+        const path = this._path, current = this._current, subpathStart = this._subpathStart;
+        this.beginPath();
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+        this.stroke();
+        [this._path, this._current, this._subpathStart] = [path, current, subpathStart];
+    }
+
+    fillRect(x, y, w, h) {
+        const path = this._path, current = this._current, subpathStart = this._subpathStart;
+        this.beginPath();
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+        this.fill();
+        [this._path, this._current, this._subpathStart] = [path, current, subpathStart];
+    }
+
+    fillText(text, x, y, maxWidth) {
+        this._text(text, x, y, this._paintAttrs('fill', this._state.fillStyle), maxWidth);
+    }
+
+    strokeText(text, x, y, maxWidth) {
+        this._text(text, x, y, ` fill="none"${this._paintAttrs('stroke', this._state.strokeStyle)}`, maxWidth);
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return new SvgGradient(x0, y0, x1, y1);
+    }
+
+    /**
+     * Serializes the drawing.
+     * @returns {String} SVG document
+     */
+    toSVG() {
+        const defs = this._defs.length ? `<defs>${this._defs.join('')}</defs>` : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${_num(this.width)}" height="${_num(this.height)}" ` +
+            `viewBox="0 0 ${_num(this.width)} ${_num(this.height)}">${defs}${this._elements.join('')}</svg>`;
+    }
+
+    _point(x, y) {
+        const [a, b, c, d, e, f] = this._state.matrix;
+        return `${_num(a * x + c * y + e)} ${_num(b * x + d * y + f)}`;
+    }
+
+    _determinant() {
+        const [a, b, c, d] = this._state.matrix;
+        return a * d - b * c;
+    }
+
+    _scaleFactor() {
+        return Math.sqrt(Math.abs(this._determinant()));
+    }
+
+    /**
+     * Records text element. Like canvas, text estimated wider than maxWidth is condensed to it by textLength.
+     * @param {String} text text to draw
+     * @param {Number} x x coordinate
+     * @param {Number} y y coordinate
+     * @param {String} paintAttrs SVG paint attributes
+     * @param {Number} [maxWidth] maximal width of the text
+     */
+    _text(text, x, y, paintAttrs, maxWidth) {
+        const anchor = {center: 'middle', middle: 'middle', right: 'end', end: 'end'}[this._state.textAlign] || 'start';
+        const baseline = {middle: 'middle', top: 'hanging', hanging: 'hanging', bottom: 'text-after-edge'}
+            [this._state.textBaseline] || 'alphabetic';
+        const matrix = this._state.matrix.map(_num).join(' ');
+        const size = Number((/([\d.]+)px/.exec(this._state.font) || [])[1]) || 10;
+        const length = maxWidth !== undefined && [...String(text)].length * size * GLYPH_WIDTH > maxWidth
+            ? ` textLength="${_num(maxWidth)}" lengthAdjust="spacingAndGlyphs"` : '';
+        this._elements.push(`<text x="${_num(x)}" y="${_num(y)}" transform="matrix(${matrix})" ` +
+            `style="font: ${_escape(this._state.font)}" text-anchor="${anchor}" dominant-baseline="${baseline}"` +
+            `${length}${paintAttrs}>${_escape(text)}</text>`);
+    }
+
+    /**
+     * Converts canvas style to SVG paint attributes. Gradient coordinates are transformed by current matrix the same
+     * way canvas does at the time of painting.
+     * @param {String} attr fill or stroke
+     * @param {String|SvgGradient} style canvas style
+     * @returns {String} attributes
+     */
+    _paintAttrs(attr, style) {
+        if (style instanceof SvgGradient) {
+            const id = `g${this._defs.length}`;
+            const [x1, y1] = this._point(style.points[0], style.points[1]).split(' '),
+                [x2, y2] = this._point(style.points[2], style.points[3]).split(' ');
+            const stops = style.stops.map(stop => `<stop offset="${_num(stop.offset)}"` +
+                `${this._paintAttrs('stop-color', stop.color).replace('stop-color-opacity', 'stop-opacity')}/>`);
+            this._defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" ` +
+                `x2="${x2}" y2="${y2}">${stops.join('')}</linearGradient>`);
+            return ` ${attr}="url(#${id})"`;
+        }
+        const rgba = /^\s*rgba\(\s*([^,]+),([^,]+),([^,]+),([^)]+)\)\s*$/.exec(String(style));
+        if (rgba)
+            return ` ${attr}="rgb(${rgba.slice(1, 4).map(v => v.trim()).join(',')})" ` +
+                `${attr}-opacity="${_num(Number(rgba[4]))}"`;
+        return ` ${attr}="${_escape(style)}"`;
+    }
+}
+
+module.exports = SvgContext;
\ No newline at end of file
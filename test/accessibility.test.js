@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {describePuzzle, describeTile, describeLayer} = require('../accessibility');
+const {createGenerator} = require('../generator');
+const CaptchaAuthr = require('../captcha-authr');
+
+test('layers are described by their painters', () => {
+    assert.strictEqual(describeLayer({shape: 'square', painter: 'place', params: {fill: true}}), 'one filled square');
+    assert.strictEqual(describeLayer({shape: 'cross', painter: 'clock', params: {itercount: 4, skipFirst: true}}),
+        'three crosses placed around in a circle');
+    assert.strictEqual(describeLayer({shape: 'moon', painter: 'insert', params: {tx: 1, ty: -1}}),
+        'moon inserted at the top right');
+    assert.strictEqual(describeLayer({shape: 'sun', painter: 'spiral', params: {}},
+        {spiral: {describe: (shape, params) => `${shape} in a spiral`}}), 'sun in a spiral');
+});
+
+test('tiles join their layers', () => {
+    assert.strictEqual(describeTile({question: true}), 'question mark');
+    assert.strictEqual(describeTile({layers: [{shape: 'square', painter: 'place', params: {}},
+        {shape: 'circle', painter: 'insert', params: {}}]}), 'one square with circle inserted at the middle');
+});
+
+test('puzzle text asks for the right number of labels', () => {
+    const layers = [{shape: 'square', painter: 'place', params: {}}],
+        description = {
+            grid: [[{layers}, {question: true}]], answer: 'sun moon', choices: ['sun', 'moon', 'star'],
+            options: ['sun', 'moon', 'star'].map(letter => ({letter, layers}))
+        };
+    const text = describePuzzle(description);
+    assert.ok(text.includes('Row 1: one square; question mark.'));
+    assert.ok(text.includes('Which two options could replace the question mark?'));
+    assert.ok(text.includes('Option star: one square.'));
+    assert.ok(text.endsWith('Answer with the two labels of the correct options.'));
+    assert.ok(describePuzzle(Object.assign({}, description, {answer: 'star'}))
+        .endsWith('Answer with the label of the correct option.'));
+});
+
+test('accessible CAPTCHA has text with every option', async () => {
+    const captcha = await createGenerator({format: 'svg', accessible: true}).create({seed: 9});
+    captcha.choices.forEach(letter => assert.ok(captcha.text.includes(`Option ${letter}: `)));
+    assert.strictEqual((await createGenerator({format: 'svg'}).create({seed: 9})).text, undefined);
+});
+
+test('challengers give image, text or both', async () => {
+    const captcha = await createGenerator({format: 'svg', accessible: true}).create(),
+        provider = {popCaptcha: async () => captcha};
+    const challenge = async customChallenger =>
+        (await new CaptchaAuthr(provider, {customChallenger}).tryAuth('user')).captcha.challenge;
+    assert.strictEqual(await challenge(), captcha.data);
+    assert.strictEqual(await challenge('image'), captcha.data);
+    assert.strictEqual(await challenge('text'), captcha.text);
+    assert.deepStrictEqual(await challenge('both'), {image: captcha.data, text: captcha.text});
+    assert.strictEqual(CaptchaAuthr.challengers.text({text: 'puzzle'}), 'puzzle');
+    assert.throws(() => CaptchaAuthr.challengers.text({data: 'image'}), /Enable accessible generator option/);
+});
\ No newline at end of file
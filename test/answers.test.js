@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const CaptchaAuthr = require('../captcha-authr');
+const {createGenerator} = require('../generator');
+
+const correctOptions = captcha => captcha.description.options.filter(option => captcha.answer.includes(option.letter));
+
+test('single-answer mode has one correct option', async () => {
+    const gen = createGenerator({format: 'svg', describe: true, answers: 1});
+    for (let seed = 1; seed <= 5; seed++) {
+        const captcha = await gen.create({seed});
+        assert.strictEqual(captcha.answer.length, 1);
+        assert.strictEqual(correctOptions(captcha).length, 1);
+    }
+});
+
+test('correct options differ from each other in the last shape only', async () => {
+    const gen = createGenerator({format: 'svg', describe: true, answers: 3});
+    for (let seed = 1; seed <= 5; seed++) {
+        const captcha = await gen.create({seed}), options = correctOptions(captcha);
+        assert.strictEqual(captcha.answer.length, 3);
+        assert.strictEqual(options.length, 3);
+        const last = options.map(option => option.layers[option.layers.length - 1].shape);
+        assert.strictEqual(new Set(last).size, 3);
+        options.forEach(option => assert.deepStrictEqual(option.layers.slice(0, -1), options[0].layers.slice(0, -1)));
+    }
+});
+
+test('subject has to pick all correct options in any order', async () => {
+    const gen = createGenerator({format: 'svg', answers: 3});
+    const authr = new CaptchaAuthr({popCaptcha: () => gen.create()}, {tooFast: 0, maxWrong: 10});
+    await authr.tryAuth('user');
+    const {answer} = authr.getRecord('user').captcha;
+    assert.strictEqual((await authr.tryAuth('user', answer.slice(0, 2))).captcha.state, 'wrong');
+    const next = authr.getRecord('user').captcha.answer;
+    const reversed = next.split('').reverse().join(', ').toLowerCase();
+    assert.strictEqual((await authr.tryAuth('user', reversed)).captcha.state, 'success');
+});
+
+test('answers must be fewer than choices', () => {
+    assert.throws(() => createGenerator({answers: 0}), /positive integer less than number of choices/);
+    assert.throws(() => createGenerator({choices: 6, answers: 6}), /positive integer less than number of choices/);
+});
\ No newline at end of file
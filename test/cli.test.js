@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const {join, dirname, resolve} = require('path');
+const {execFileSync} = require('child_process');
+const {parseArgs, genOptsOf} = require('../bin/kx-iqcaptcha');
+
+const CLI = join(__dirname, '..', 'bin', 'kx-iqcaptcha.js');
+const run = (...args) => execFileSync(process.execPath, [CLI, ...args], {encoding: 'utf8'});
+
+const tempDir = t => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'kx-iqcaptcha-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+};
+
+test('arguments are parsed to command, positional arguments and options', () => {
+    assert.deepStrictEqual(parseArgs(['generate', 'extra', '-n', '5', '--format=svg', '--validate']), {
+        command: 'generate', positional: ['extra'], flags: {count: '5', format: 'svg', validate: true}
+    });
+});
+
+test('options are converted to generator options', () => {
+    assert.deepStrictEqual(genOptsOf({format: 'svg', 'tile-res': '80', labels: 'sun,moon', difficulty: '0.5',
+        'gen-opts': '{"answers": 1}'}), {
+        answers: 1, format: 'svg', tileRes: 80, labels: ['sun', 'moon'], difficulty: 0.5, output: 'buffer'
+    });
+    assert.throws(() => genOptsOf({format: 'gif'}), /Unsupported format gif/);
+});
+
+test('batch with the same seed is generated again', t => {
+    const dir = tempDir(t), manifests = ['a', 'b'].map(name => {
+        run('generate', '-n', '3', '-j', '2', '--format', 'svg', '--seed', '7', '-o', join(dir, name));
+        return fs.readFileSync(join(dir, name, 'manifest.ndjson'), 'utf8');
+    });
+    assert.strictEqual(manifests[0], manifests[1]);
+    const entries = manifests[0].trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(entries.length, 3);
+    entries.forEach(entry => assert.ok(fs.readFileSync(join(dir, 'a', entry.file), 'utf8').startsWith('<svg')));
+});
+
+test('contact sheet links images relative to its own location', t => {
+    const dir = tempDir(t), batch = join(dir, 'batch'), sheet = join(dir, 'sheets', 'preview.html');
+    run('generate', '-n', '2', '-j', '1', '--format', 'svg', '--manifest', 'json', '-o', batch);
+    fs.mkdirSync(dirname(sheet));
+    run('preview', batch, '--out', sheet);
+    const sources = fs.readFileSync(sheet, 'utf8').match(/src="[^"]+"/g).map(src => src.slice(5, -1));
+    assert.strictEqual(sources.length, 2);
+    sources.forEach(src => {
+        assert.ok(src.startsWith('../batch/'), src);
+        assert.ok(fs.existsSync(resolve(dirname(sheet), src)));
+    });
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const CaptchaAuthr = require('../captcha-authr');
+const {hitTest} = require('../captcha-authr/answers');
+const {createGenerator} = require('../generator');
+
+const center = area => ({x: area.x + area.width / 2, y: area.y + area.height / 2});
+
+const clickAuthr = genOpts => {
+    const gen = createGenerator(Object.assign({format: 'svg'}, genOpts));
+    return new CaptchaAuthr({popCaptcha: () => gen.create()},
+        {tooFast: 0, maxWrong: 10, customChallenger: 'clickable'});
+};
+
+test('point hits the tile it lies in', () => {
+    const areas = [{letter: 'A', x: 0, y: 0, width: 10, height: 10}, {letter: 'D', x: 10, y: 0, width: 10, height: 10}];
+    assert.strictEqual(hitTest({x: 0, y: 0}, areas).letter, 'A');
+    assert.strictEqual(hitTest({x: 10, y: 9.5}, areas).letter, 'D');
+    assert.strictEqual(hitTest({x: 20, y: 5}, areas), undefined);
+    assert.strictEqual(hitTest({x: 5, y: 5}), undefined);
+});
+
+test('areas of created CAPTCHA follow the order of options', async () => {
+    const captcha = await createGenerator({format: 'svg', describe: true}).create({seed: 1});
+    assert.deepStrictEqual(captcha.areas.map(area => area.letter), captcha.description.options.map(opt => opt.letter));
+    captcha.areas.forEach(area => assert.strictEqual(hitTest(center(area), captcha.areas), area));
+});
+
+test('clicks on correct options authenticate the subject', async () => {
+    for (const noise of ['none', 'high']) {
+        const authr = clickAuthr({noise});
+        const {challenge} = (await authr.tryAuth('user')).captcha, {answer} = authr.getRecord('user').captcha;
+        assert.ok(challenge.image && challenge.areas.length === 10);
+        const clicks = challenge.areas.filter(area => answer.includes(area.letter)).reverse().map(center);
+        assert.strictEqual((await authr.tryAuth('user', clicks)).captcha.state, 'success');
+    }
+});
+
+test('tile indices authenticate the subject', async () => {
+    const authr = clickAuthr({answers: 1});
+    await authr.tryAuth('user');
+    const {areas, answer} = authr.getRecord('user').captcha;
+    assert.strictEqual((await authr.tryAuth('user', areas.findIndex(area => area.letter === answer)))
+        .captcha.state, 'success');
+});
+
+test('click missing all options is wrong', async () => {
+    const authr = clickAuthr();
+    await authr.tryAuth('user');
+    const {areas, answer} = authr.getRecord('user').captcha;
+    const clicks = areas.filter(area => answer.includes(area.letter)).map(center).concat({x: -1, y: -1});
+    assert.strictEqual((await authr.tryAuth('user', clicks)).captcha.state, 'wrong');
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {createGenerator} = require('../generator');
+const {splitLabels} = require('../labels');
+
+const width = svg => Number(/width="([\d.]+)"/.exec(svg)[1]);
+
+test('description is present only in describe mode', async () => {
+    assert.strictEqual((await createGenerator({format: 'svg'}).create({seed: 5})).description, undefined);
+    assert.ok((await createGenerator({format: 'svg'}).create({seed: 5, describe: true})).description);
+    assert.strictEqual((await createGenerator({format: 'svg', describe: true}).create({seed: 5, describe: false}))
+        .description, undefined);
+});
+
+test('description tells the puzzle and its answer', async () => {
+    const {description, choices, answer, seed} = await createGenerator({format: 'svg', describe: true})
+        .create({seed: 5});
+    assert.strictEqual(description.seed, seed);
+    assert.strictEqual(description.grid.length, 3);
+    assert.deepStrictEqual(description.grid.map(row => row.length), [3, 3, 3]);
+    assert.strictEqual(description.grid.flat().filter(tile => tile.question).length, 1);
+    assert.deepStrictEqual(description.options.map(option => option.letter), choices);
+    assert.strictEqual(description.answer, answer);
+    assert.strictEqual(splitLabels(answer, choices).length, 2);
+    description.options.forEach(option => option.layers.forEach(layer =>
+        assert.deepStrictEqual(Object.keys(layer).sort(), ['painter', 'params', 'resolution', 'shape'])));
+});
+
+test('stored description renders the same image', async () => {
+    const gen = createGenerator({format: 'svg', output: 'buffer', describe: true});
+    const captcha = await gen.create({seed: 11});
+    const rendered = await gen.render(JSON.parse(JSON.stringify(captcha.description)));
+    assert.deepStrictEqual(rendered.data, captcha.data);
+    assert.deepStrictEqual(rendered.areas, captcha.areas);
+    assert.strictEqual(rendered.description, undefined);
+});
+
+test('description renders in resolution of the generator', async () => {
+    const captcha = await createGenerator({format: 'svg', output: 'buffer', describe: true}).create({seed: 11});
+    const large = await createGenerator({format: 'svg', output: 'buffer', tileRes: 200}).render(captcha.description);
+    assert.strictEqual(width(large.data.toString()), 2 * width(captcha.data.toString()));
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const Difficulty = require('../difficulty');
+const CaptchaAuthr = require('../captcha-authr');
+const {createGenerator} = require('../generator');
+
+const meanScore = async (gen, difficulty) => {
+    let sum = 0;
+    for (let seed = 1; seed <= 5; seed++)
+        sum += (await gen.create({seed, difficulty})).difficulty.score;
+    return sum / 5;
+};
+
+test('levels are converted to settings', () => {
+    assert.deepStrictEqual(Difficulty.levelSettings('easy'), {
+        layers: 2, rotatePerLayer: false, minClockIters: 2, maxClockIters: 4, choices: 6, decoySimilarity: .2
+    });
+    assert.strictEqual(Difficulty.levelSettings('normal').choices, 10);
+    assert.strictEqual(Difficulty.levelSettings('hard').layers, 4);
+    assert.deepStrictEqual(Difficulty.levelSettings(.5), Difficulty.levelSettings('normal'));
+    assert.throws(() => Difficulty.levelSettings('insane'), /Invalid difficulty/);
+    assert.throws(() => Difficulty.levelSettings(2), /Invalid difficulty/);
+});
+
+test('explicit options take precedence over the level', () => {
+    const settings = Difficulty.resolveSettings('hard', {choices: 8});
+    assert.strictEqual(settings.choices, 8);
+    assert.strictEqual(settings.layers, 4);
+    assert.strictEqual(settings.level, 'hard');
+    assert.strictEqual(Difficulty.resolveSettings().decoySimilarity, undefined);
+    assert.throws(() => Difficulty.resolveSettings('easy', {layers: 6}), /from 2 to 5/);
+});
+
+test('score grows with the difficulty', () => {
+    const puzzle = {layers: 2, rotatePerLayer: false, clockIters: [2], choices: 6, decoySimilarities: [0]};
+    assert.strictEqual(Difficulty.scoreDifficulty(puzzle), 0);
+    assert.strictEqual(Difficulty.scoreDifficulty({
+        layers: 5, rotatePerLayer: true, clockIters: [8], choices: 12, decoySimilarities: [1]
+    }), 100);
+    assert.ok(Difficulty.scoreDifficulty(Object.assign({}, puzzle, {layers: 3})) > 0);
+});
+
+test('created CAPTCHA reports its difficulty', async () => {
+    const gen = createGenerator({format: 'svg'});
+    const easy = await gen.create({seed: 1, difficulty: 'easy'});
+    assert.strictEqual(easy.difficulty.level, 'easy');
+    assert.strictEqual(easy.choices.length, 6);
+    assert.strictEqual((await gen.create({seed: 1})).difficulty.level, null);
+    assert.ok(await meanScore(gen, 'easy') < await meanScore(gen, 'normal'));
+    assert.ok(await meanScore(gen, 'normal') < await meanScore(gen, 'hard'));
+});
+
+test('suspicious subjects get harder CAPTCHAs', async () => {
+    const requested = [], provider = {
+        popCaptcha: async popOpts => {
+            requested.push(popOpts.difficulty);
+            return {choices: 'ADEIHKMNOP'.split(''), answer: 'AD', data: 'image', seed: 1, areas: []};
+        }
+    };
+    const authr = new CaptchaAuthr(provider, {escalate: true, tooFast: 0});
+    await authr.tryAuth('user');
+    await authr.tryAuth('user', 'AE');
+    assert.deepStrictEqual(requested, [undefined, 'hard']);
+    const custom = new CaptchaAuthr(provider, {escalate: info => info.wrong / 4, tooFast: 0});
+    await custom.tryAuth('other');
+    await custom.tryAuth('other', 'AE');
+    assert.deepStrictEqual(requested.slice(2), [0, .25]);
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const {join} = require('path');
+const {createDiskPool} = require('../disk-pool');
+
+const KEY = 'a pool key of at least 16 bytes';
+const CAPTCHA = {choices: ['sun', 'sunflower', 'moon'], answer: 'sunflower moon', data: Buffer.from('<svg></svg>'),
+    seed: 42, areas: []};
+
+const tempDir = t => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'kx-iqcaptcha-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+};
+
+test('stored CAPTCHA is taken out once', t => {
+    const pool = createDiskPool({dir: tempDir(t), key: KEY});
+    pool.put(CAPTCHA);
+    assert.strictEqual(pool.count(), 1);
+    assert.deepStrictEqual(pool.take(), CAPTCHA);
+    assert.strictEqual(pool.take(), null);
+    assert.strictEqual(pool.count(), 0);
+});
+
+test('entries are encrypted on disk', t => {
+    const dir = tempDir(t), pool = createDiskPool({dir, key: KEY});
+    pool.put(CAPTCHA);
+    const [file] = fs.readdirSync(dir);
+    const content = fs.readFileSync(join(dir, file));
+    assert.ok(!content.includes('<svg></svg>'));
+    assert.ok(!content.includes('sunflower'));
+});
+
+test('entries encrypted by another key are thrown away', t => {
+    const dir = tempDir(t);
+    createDiskPool({dir, key: KEY}).put(CAPTCHA);
+    const pool = createDiskPool({dir, key: 'another key of at least 16 bytes'});
+    assert.strictEqual(pool.take(), null);
+    assert.strictEqual(pool.count(), 0);
+});
+
+test('stale entries are not taken', async t => {
+    const pool = createDiskPool({dir: tempDir(t), key: KEY, maxAge: 1});
+    pool.put(CAPTCHA);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(pool.take(), null);
+});
+
+test('short key is refused', t => {
+    assert.throws(() => createDiskPool({dir: tempDir(t), key: 'short'}), /at least 16 bytes/);
+});
\ No newline at end of file
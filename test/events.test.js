@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {CaptchaMgr, CaptchaAuthr} = require('..');
+
+const logger = {debug: f => f, log: f => f, warn: f => f, error: f => f, info: f => f};
+const EVENTS = ['attempt', 'success', 'wrong', 'limited', 'tooFast', 'timeout', 'expired'];
+const provider = {
+    popCaptcha: async () => ({choices: 'ADEIHKMNOP'.split(''), answer: 'AD', data: 'image', seed: 1, areas: []})
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const recordEvents = emitter => {
+    const events = [];
+    EVENTS.forEach(name => emitter.on(name, payload => events.push(Object.assign({name}, payload))));
+    return events;
+};
+
+test('answers emit their outcome and every attempt', async () => {
+    const authr = new CaptchaAuthr(provider, {tooFast: 0, maxWrong: 1}), events = recordEvents(authr);
+    await authr.tryAuth('user');
+    await authr.tryAuth('user', 'AE');
+    await authr.tryAuth('user', 'AE');
+    await authr.tryAuth('other');
+    await authr.tryAuth('other', 'AD');
+    assert.deepStrictEqual(events.map(event => `${event.name} ${event.id} ${event.state || ''}`.trim()), [
+        'attempt user new',
+        'wrong user', 'attempt user wrong',
+        'wrong user', 'limited user', 'attempt user limit',
+        'attempt other new',
+        'success other', 'attempt other success'
+    ]);
+    assert.strictEqual(events.find(event => event.name === 'limited').info.wrong, 2);
+});
+
+test('too fast, late and expired answers are emitted', async () => {
+    const fast = new CaptchaAuthr(provider, {tooFast: 60000}), fastEvents = recordEvents(fast);
+    await fast.tryAuth('user');
+    await fast.tryAuth('user', 'AD');
+    assert.deepStrictEqual(fastEvents.map(event => event.name), ['attempt', 'tooFast', 'wrong', 'attempt']);
+    assert.strictEqual(fastEvents[1].info.tooFastCount, 1);
+
+    const late = new CaptchaAuthr(provider, {tooFast: 0, answerTimeout: 1}), lateEvents = recordEvents(late);
+    await late.tryAuth('user');
+    await sleep(10);
+    assert.strictEqual((await late.tryAuth('user', 'AD')).captcha.state, 'timeout');
+    assert.ok(lateEvents.some(event => event.name === 'timeout' && event.id === 'user'));
+
+    const short = new CaptchaAuthr(provider, {tooFast: 0, authTimeout: 200}), shortEvents = recordEvents(short);
+    await short.tryAuth('user');
+    await short.tryAuth('user', 'AD');
+    await sleep(250); // records are stored for twice the authTimeout
+    await short.tryAuth('user');
+    assert.ok(shortEvents.some(event => event.name === 'expired' && event.id === 'user'));
+    assert.ok(!short.isAuthd('user'));
+});
+
+test('manager emits creation, demand and starvation', async t => {
+    const mgr = new CaptchaMgr({forks: false, initialCapacity: 1, checkInterval: 50, retries: 0, logger,
+        genOpts: {format: 'svg'}});
+    t.after(() => mgr.terminate());
+    const events = [];
+    ['captchaCreated', 'capacityChanged', 'generationError', 'queueStarved']
+        .forEach(name => mgr.on(name, payload => events.push(Object.assign({name}, payload))));
+    mgr.begin();
+    const captcha = await mgr.popCaptcha();
+    const created = events.find(event => event.name === 'captchaCreated');
+    assert.deepStrictEqual([created.seed, created.onDemand], [captcha.seed, false]);
+    assert.ok(created.duration >= 0);
+    assert.ok(events.some(event => event.name === 'capacityChanged' && event.reason === 'demand' &&
+        event.capacity === event.previous + 1));
+    assert.ok(events.some(event => event.name === 'queueStarved' && event.awaiting === 1));
+
+    await mgr.popCaptcha({difficulty: 'easy'});
+    assert.ok(events.some(event => event.name === 'captchaCreated' && event.onDemand &&
+        event.difficulty.level === 'easy'));
+    await assert.rejects(mgr.popCaptcha({difficulty: 'insane'}), /Invalid difficulty/);
+    const error = events.find(event => event.name === 'generationError');
+    assert.ok(error.onDemand && /Invalid difficulty/.test(error.error.message));
+});
\ No newline at end of file
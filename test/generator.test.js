@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {createGenerator} = require('../generator');
+
+test('same seed creates the same CAPTCHA', async () => {
+    const gen = createGenerator({format: 'svg'});
+    const captcha = await gen.create({seed: 2581720956});
+    const same = await createGenerator({format: 'svg'}).create({seed: captcha.seed});
+    assert.deepStrictEqual(same, captcha);
+});
+
+test('generators with the same seed create the same sequence', async () => {
+    const gen1 = createGenerator({format: 'svg', seed: 42}), gen2 = createGenerator({format: 'svg', seed: 42});
+    for (let i = 0; i < 3; i++)
+        assert.deepStrictEqual(await gen2.create(), await gen1.create());
+});
+
+test('seed of created CAPTCHA replays it', async () => {
+    const gen = createGenerator({format: 'svg'});
+    const captcha = await gen.create();
+    assert.strictEqual((await gen.create({seed: captcha.seed})).data, captcha.data);
+});
+
+test('description renders to the same image', async () => {
+    const gen = createGenerator({format: 'svg', describe: true});
+    const captcha = await gen.create({seed: 7});
+    assert.strictEqual((await gen.render(captcha.description)).data, captcha.data);
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const Geo = require('../geometry');
+const {createGenerator} = require('../generator');
+
+const gen = createGenerator({format: 'svg'});
+const helper = Geo.createGeometryHelper();
+
+/**
+ * Tells whether two layers look the same, using pixel comparison of the validator.
+ */
+const lookSame = (layer1, layer2) => !gen.validate({
+    tileRes: 100, answer: 'A', choices: ['A', 'B'],
+    options: [{letter: 'A', layers: [layer1]}, {letter: 'B', layers: [layer2]}]
+}, {reasons: ['decoyLikeAnswer']}).valid;
+const placed = (shape, angle) => ({shape, painter: 'place', resolution: 60, params: {angle, fill: true}});
+const clock = (shape, angle) => ({
+    shape, painter: 'clock', resolution: 20, params: {angle, fill: true, itercount: 4, offangle: 0}
+});
+
+test('rotation is visible only outside symmetry of the shape', () => {
+    const square = helper.findShape('square'), circle = helper.findShape('circle');
+    assert.ok(Geo.looksRotated(square, 45));
+    assert.ok(!Geo.looksRotated(square, 90));
+    assert.ok(!Geo.looksRotated(square, 100));
+    assert.ok(!Geo.looksRotated(circle, 45));
+    assert.ok(Geo.looksRotated({name: 'blob'}, Geo.MIN_VISIBLE_ANGLE));
+    assert.ok(!Geo.looksRotated({name: 'blob'}, Geo.MIN_VISIBLE_ANGLE - 1));
+});
+
+test('declared symmetry of built-in shapes matches their drawing', () => {
+    helper.shapes.forEach(({name, symmetry: {rotation}}) => {
+        if (rotation === 0)
+            assert.ok(lookSame(placed(name, 0), placed(name, 30)), `${name} looks rotated by 30`);
+        else if (rotation < 360) {
+            assert.ok(lookSame(placed(name, 0), placed(name, rotation)), `${name} looks rotated by ${rotation}`);
+            assert.ok(!lookSame(placed(name, 0), placed(name, rotation / 2)), `${name} does not look rotated by ` +
+                rotation / 2);
+        } else assert.ok(!lookSame(placed(name, 0), placed(name, 90)), `${name} does not look rotated by 90`);
+    });
+});
+
+test('random angles visibly rotate the shapes', () => {
+    const shapes = ['square', 'sun', 'circle'].map(helper.findShape);
+    helper.random.reseed(1);
+    for (let i = 0; i < 50; i++) {
+        const angle = helper.random.getRandAngle(shapes);
+        assert.ok(angle >= 0 && angle <= 45);
+        assert.ok(Geo.looksRotated(shapes[0], angle) && Geo.looksRotated(shapes[1], angle), `angle ${angle}`);
+    }
+});
+
+test('shape registration checks declared symmetry', () => {
+    const draw = () => undefined, local = Geo.createGeometryHelper();
+    local.registerShape({name: 'blob', draw});
+    assert.deepStrictEqual(local.findShape('blob').symmetry, Geo.NO_SYMMETRY);
+    assert.throws(() => local.registerShape({name: 'odd', draw, symmetry: {rotation: 7}}), /dividing 360/);
+});
+
+test('clock painter rotates by degrees', () => {
+    assert.ok(lookSame(clock('rectangle', 0), clock('rectangle', 90)));
+    assert.ok(!lookSame(clock('rectangle', 0), clock('rectangle', 45)));
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {resolveLabels, joinLabels, splitLabels} = require('../labels');
+const {normalize, toLetters} = require('../captcha-authr/answers');
+
+const WORDS = ['sun', 'sunflower', 'moon', 'star'];
+
+test('single character labels are joined without separator', () => {
+    assert.strictEqual(joinLabels(['A', 'D']), 'AD');
+    assert.strictEqual(joinLabels(['🍎', '🐟']), '🍎🐟');
+    assert.strictEqual(joinLabels(['sun', 'moon']), 'sun moon');
+});
+
+test('typed answer is split to labels', () => {
+    assert.deepStrictEqual(splitLabels('AD', ['A', 'D', 'E']), ['a', 'd']);
+    assert.deepStrictEqual(splitLabels('a, d;e', ['A', 'D', 'E']), ['a', 'd', 'e']);
+    assert.deepStrictEqual(splitLabels('🍎🐟', ['🍎', '🐟']), ['🍎', '🐟']);
+    assert.deepStrictEqual(splitLabels('ΔΘ', resolveLabels('greek')), ['δ', 'θ']);
+});
+
+test('longer labels are matched first', () => {
+    assert.deepStrictEqual(splitLabels('sunflowerSUN', WORDS), ['sunflower', 'sun']);
+    assert.deepStrictEqual(splitLabels('sun moon', WORDS), ['sun', 'moon']);
+});
+
+test('unknown characters are kept as labels of their own', () => {
+    assert.deepStrictEqual(splitLabels('sux', WORDS), ['s', 'u', 'x']);
+});
+
+test('answers are normalized regardless of order, case and separators', () => {
+    assert.strictEqual(normalize('da', ['A', 'D']), normalize('A,D', ['A', 'D']));
+    assert.strictEqual(normalize('Moon sun', WORDS), normalize('sun;moon', WORDS));
+    assert.notStrictEqual(normalize('sunflower', WORDS), normalize('sun', WORDS));
+});
+
+test('clicks and tile indices are converted to labels', () => {
+    const captcha = {
+        choices: WORDS,
+        areas: WORDS.map((letter, i) => ({letter, x: i * 10, y: 0, width: 10, height: 10}))
+    };
+    assert.strictEqual(toLetters([1, 3, 1], captcha), 'sunflower star');
+    assert.strictEqual(toLetters({x: 25, y: 5}, captcha), 'moon');
+    assert.strictEqual(toLetters({x: 45, y: 5}, captcha), null);
+});
+
+test('invalid labels are refused', () => {
+    assert.throws(() => resolveLabels(['a b']));
+    assert.throws(() => resolveLabels(['a', 'A']));
+    assert.throws(() => resolveLabels('klingon'));
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {createGenerator} = require('../generator');
+
+const imageSize = captcha => captcha.data.toString().match(/width="(\d+)" height="(\d+)"/).slice(1).map(Number);
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+const checkAreas = captcha => {
+    const [width, height] = imageSize(captcha);
+    captcha.areas.forEach((area, i) => {
+        assert.ok(area.x >= 0 && area.y >= 0 && area.x + area.width <= width && area.y + area.height <= height);
+        assert.ok(captcha.areas.slice(i + 1).every(other => !overlaps(area, other)));
+    });
+};
+
+test('default layout has 3x3 grid and two rows of five options', async () => {
+    const captcha = await createGenerator({format: 'svg', output: 'buffer', describe: true}).create({seed: 1});
+    assert.strictEqual(captcha.description.grid.length, 3);
+    assert.ok(captcha.description.grid.every(row => row.length === 3));
+    assert.strictEqual(captcha.choices.length, 10);
+    assert.strictEqual(new Set(captcha.areas.map(area => area.y)).size, 2);
+    assert.deepStrictEqual(imageSize(captcha), [550, 540]);
+    checkAreas(captcha);
+});
+
+test('bigger grid uses more layers and a bigger image', async () => {
+    const gen = createGenerator({format: 'svg', output: 'buffer', describe: true, gridSize: 4, choices: 12});
+    const captcha = await gen.create({seed: 1});
+    assert.strictEqual(captcha.description.grid.length, 4);
+    assert.ok(captcha.description.grid.every(row => row.length === 4));
+    assert.strictEqual(captcha.description.rule.painters.length, 4);
+    assert.strictEqual(captcha.choices.length, 12);
+    assert.deepStrictEqual(imageSize(captcha), [660, 650]);
+    checkAreas(captcha);
+});
+
+test('options are laid out in rows of limited length', async () => {
+    const gen = createGenerator({format: 'svg', output: 'buffer', optionsPerRow: 4});
+    const captcha = await gen.create({seed: 1}), rows = new Map();
+    captcha.areas.forEach(area => rows.set(area.y, (rows.get(area.y) || 0) + 1));
+    assert.deepStrictEqual([...rows.values()], [4, 4, 2]);
+    checkAreas(captcha);
+    const wide = await createGenerator({format: 'svg', output: 'buffer', optionsPerRow: 10}).create({seed: 1});
+    assert.strictEqual(new Set(wide.areas.map(area => area.y)).size, 1);
+    assert.ok(imageSize(wide)[0] > imageSize(captcha)[0]);
+    checkAreas(wide);
+});
+
+test('invalid layouts are refused', () => {
+    assert.throws(() => createGenerator({gridSize: 6}), /from 2 to 5/);
+    assert.throws(() => createGenerator({choices: 3}), /from 4 to 15/);
+    assert.throws(() => createGenerator({optionsPerRow: 0}), /positive integer/);
+});
\ No newline at end of file
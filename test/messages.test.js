@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const CaptchaAuthr = require('../captcha-authr');
+const Messages = require('../captcha-authr/messages');
+
+const provider = {
+    popCaptcha: async () => ({choices: 'ADEIHKMNOP'.split(''), answer: 'AD', data: 'image', seed: 1, areas: []})
+};
+
+test('every built-in locale has a message for every state', () => {
+    const states = Object.keys(Messages.BUNDLES.en);
+    Object.keys(Messages.BUNDLES)
+        .forEach(locale => assert.deepStrictEqual(Object.keys(Messages.BUNDLES[locale]), states));
+});
+
+test('locale is picked from Accept-Language header', () => {
+    const available = Object.keys(Messages.BUNDLES);
+    assert.strictEqual(Messages.pickLocale('de-AT,de;q=0.9,en;q=0.8', available), 'de');
+    assert.strictEqual(Messages.pickLocale('fr;q=0.9,es;q=0.5', available), 'es');
+    assert.strictEqual(Messages.pickLocale('es;q=0,en', available), 'en');
+    assert.strictEqual(Messages.pickLocale(['sk', 'de-CH'], available), 'de');
+    assert.strictEqual(Messages.pickLocale('sk', available), 'en');
+    assert.strictEqual(Messages.pickLocale(undefined, available), 'en');
+});
+
+test('values are computed from record info', () => {
+    const info = {required: 2, correct: 1, maxWrong: 3, wrong: 1, dropAfter: 10000, lastLimitTime: 1000, time: 2500,
+        timeout: 60000};
+    assert.deepStrictEqual(Messages.messageValues(info), {remaining: 1, attemptsLeft: 3, retryIn: 9, answerTime: 60});
+    assert.strictEqual(Messages.createMessage('limit', info).text, 'Too many wrong answers. Try again in 9 seconds.');
+    assert.strictEqual(Messages.createMessage('more', info, 'es').text, '¡Correcto! Queda 1 acertijo por resolver.');
+});
+
+test('custom messages are merged over the built-in ones', () => {
+    const custom = {en: {success: 'Welcome back!'}, sk: {wrong: 'Zlá odpoveď. Počet pokusov: {attemptsLeft}'}};
+    const info = {maxWrong: 3, wrong: 2};
+    assert.strictEqual(Messages.createMessage('success', info, 'en', custom).text, 'Welcome back!');
+    assert.deepStrictEqual(Messages.createMessage('wrong', info, 'sk', custom),
+        {text: 'Zlá odpoveď. Počet pokusov: 2', locale: 'sk', values: {attemptsLeft: 2}});
+    assert.strictEqual(Messages.createMessage('error', info, 'sk', custom).text, Messages.BUNDLES.en.error());
+});
+
+test('attempts carry localised messages', async () => {
+    const authr = new CaptchaAuthr(provider, {tooFast: 0, locale: 'de', messages: {en: {new: 'Hello {remaining}'}}});
+    assert.strictEqual((await authr.tryAuth('user')).captcha.message.text,
+        'Wähle, was das Fragezeichen ersetzen kann.');
+    const wrong = (await authr.tryAuth('user', 'AE', {locale: 'en-GB,en;q=0.5'})).captcha.message;
+    assert.deepStrictEqual([wrong.text, wrong.locale], ['Wrong answer, try this one. 3 attempts left.', 'en']);
+    assert.strictEqual((await authr.tryAuth('other', '', {locale: ['en']})).captcha.message.text, 'Hello 1');
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const {CaptchaAuthr, metrics} = require('..');
+
+const provider = {
+    popCaptcha: async () => ({choices: 'ADEIHKMNOP'.split(''), answer: 'AD', data: 'image', seed: 1, areas: []})
+};
+
+const fakeMgr = stats => Object.assign(new EventEmitter(), {getStats: () => stats});
+
+test('custom metrics are rendered in Prometheus text format', () => {
+    const registry = metrics.createMetrics({prefix: 'app_'});
+    const requests = registry.counter('requests_total', 'Requests.');
+    const latency = registry.histogram('latency_seconds', 'Latency.', [1, .1]);
+    registry.gauge('users', 'Users\nonline.', () => [{labels: {room: 'a"b'}, value: 3}]);
+    requests.inc();
+    requests.inc({code: '200'}, 2);
+    latency.observe({}, .05);
+    latency.observe({}, .5);
+    assert.strictEqual(registry.render(), [
+        '# HELP app_requests_total Requests.',
+        '# TYPE app_requests_total counter',
+        'app_requests_total 1',
+        'app_requests_total{code="200"} 2',
+        '# HELP app_latency_seconds Latency.',
+        '# TYPE app_latency_seconds histogram',
+        'app_latency_seconds_bucket{le="0.1"} 1',
+        'app_latency_seconds_bucket{le="1"} 2',
+        'app_latency_seconds_bucket{le="+Inf"} 2',
+        'app_latency_seconds_sum 0.55',
+        'app_latency_seconds_count 2',
+        '# HELP app_users Users\\nonline.',
+        '# TYPE app_users gauge',
+        'app_users{room="a\\"b"} 3',
+        ''
+    ].join('\n'));
+});
+
+test('invalid and duplicate metrics are refused', () => {
+    const registry = metrics.createMetrics();
+    registry.counter('total', 'Total.');
+    assert.throws(() => registry.counter('total', 'Total.'), /already exists/);
+    assert.throws(() => registry.gauge('bad-name', 'Bad.', () => 0), /Invalid metric name/);
+});
+
+test('manager metrics follow its events and stats', () => {
+    const registry = metrics.createMetrics(), mgr1 = fakeMgr({ready: 2, awaiting: 0, pending: 1, capacity: 3}),
+        mgr2 = fakeMgr({ready: 1, awaiting: 4, pending: 0, capacity: 5});
+    registry.watchMgr(mgr1);
+    registry.watchMgr(mgr2);
+    mgr1.emit('captchaCreated', {seed: 1, onDemand: false, duration: 30});
+    mgr2.emit('captchaCreated', {seed: 2, onDemand: true, duration: 3000});
+    mgr2.emit('generationError', {error: new Error('failed'), onDemand: false});
+    mgr1.emit('queueStarved', {awaiting: 1});
+    const text = registry.render();
+    [
+        'iqcaptcha_captchas_created_total{on_demand="false"} 1',
+        'iqcaptcha_captchas_created_total{on_demand="true"} 1',
+        'iqcaptcha_generation_errors_total{on_demand="false"} 1',
+        'iqcaptcha_queue_starved_total 1',
+        'iqcaptcha_generation_duration_seconds_bucket{le="0.05",on_demand="false"} 1',
+        'iqcaptcha_generation_duration_seconds_bucket{le="2.5",on_demand="true"} 0',
+        'iqcaptcha_generation_duration_seconds_sum{on_demand="true"} 3',
+        'iqcaptcha_ready_captchas 3',
+        'iqcaptcha_awaiting_requests 4',
+        'iqcaptcha_pending_captchas 1',
+        'iqcaptcha_capacity 8'
+    ].forEach(line => assert.ok(text.split('\n').includes(line), line));
+});
+
+test('authentication outcomes are counted', async () => {
+    const registry = metrics.createMetrics(), authr = new CaptchaAuthr(provider, {tooFast: 0});
+    registry.watchAuthr(authr);
+    await authr.tryAuth('user');
+    await authr.tryAuth('user', 'AE');
+    await authr.tryAuth('user', 'AD');
+    const text = registry.render();
+    [
+        'iqcaptcha_auth_attempts_total{state="new"} 1',
+        'iqcaptcha_auth_attempts_total{state="wrong"} 1',
+        'iqcaptcha_auth_attempts_total{state="success"} 1',
+        'iqcaptcha_auth_events_total{event="wrong"} 1',
+        'iqcaptcha_auth_events_total{event="success"} 1'
+    ].forEach(line => assert.ok(text.split('\n').includes(line), line));
+});
\ No newline at end of file
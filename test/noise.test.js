@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const Noise = require('../noise');
+const {createGenerator} = require('../generator');
+
+test('noise settings are resolved from levels and components', () => {
+    assert.strictEqual(Noise.resolveNoise(), null);
+    assert.strictEqual(Noise.resolveNoise('none'), null);
+    assert.ok(Noise.COMPONENTS.every(key => Noise.resolveNoise(true)[key] === Noise.LEVELS.medium));
+    assert.deepStrictEqual(Noise.resolveNoise({strength: 'low', lines: 1}),
+        {specks: .3, lines: 1, jitter: .3, warp: .3, letters: .3, colors: .3});
+    assert.deepStrictEqual(Noise.resolveNoise({warp: .5}),
+        {specks: 0, lines: 0, jitter: 0, warp: .5, letters: 0, colors: 0});
+    assert.throws(() => Noise.resolveNoise('extreme'), /Invalid noise strength/);
+    assert.throws(() => Noise.resolveNoise({lines: 2}), /Invalid noise strength/);
+});
+
+test('stronger noise has more clutter and bigger distortions', async () => {
+    const gen = createGenerator({format: 'svg', describe: true});
+    const low = (await gen.create({seed: 1, noise: 'low'})).description.noise,
+        high = (await gen.create({seed: 1, noise: 'high'})).description.noise;
+    assert.ok(low.specks.length < high.specks.length && low.lines.length < high.lines.length);
+    const maxJitter = noise => Math.max(...noise.options.map(tile => Math.max(Math.abs(tile.dx), Math.abs(tile.dy))));
+    assert.ok(maxJitter(high) <= 100 / 20);
+    assert.ok(maxJitter(low) <= 100 / 20 * Noise.LEVELS.low);
+});
+
+test('noise is decided from the seed and keeps the puzzle', async () => {
+    const gen = createGenerator({format: 'svg', describe: true}),
+        noisy = createGenerator({format: 'svg', noise: 'high'});
+    const clean = await gen.create({seed: 7}),
+        first = await noisy.create({seed: 7}),
+        second = await noisy.create({seed: 7});
+    assert.strictEqual(first.data, second.data);
+    assert.notStrictEqual(first.data, clean.data);
+    assert.strictEqual(first.answer, clean.answer);
+    assert.deepStrictEqual(first.choices, clean.choices);
+    assert.strictEqual((await gen.create({seed: 7, noise: 'none'})).data, clean.data);
+    assert.strictEqual(clean.description.noise, undefined);
+});
+
+test('noisy description renders the same image', async () => {
+    const gen = createGenerator({format: 'svg', describe: true, noise: 'medium'}),
+        captcha = await gen.create({seed: 3});
+    assert.strictEqual((await gen.render(captcha.description)).data, captcha.data);
+});
\ No newline at end of file
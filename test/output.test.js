@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {Readable} = require('stream');
+const {createGenerator} = require('../generator');
+const CaptchaAuthr = require('../captcha-authr');
+
+const read = async stream => {
+    const chunks = [];
+    for await (const chunk of stream)
+        chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+};
+
+test('image data comes in the requested output', async () => {
+    const gen = createGenerator({format: 'svg', output: 'buffer'});
+    const buffer = (await gen.create({seed: 3})).data;
+    assert.ok(Buffer.isBuffer(buffer));
+    const stream = (await gen.create({seed: 3, output: 'stream'})).data;
+    assert.ok(stream instanceof Readable);
+    assert.deepStrictEqual(await read(stream), buffer);
+    assert.strictEqual((await gen.create({seed: 3, output: 'dataURL'})).data,
+        'data:image/svg+xml;base64,' + buffer.toString('base64'));
+});
+
+test('unknown format and output are refused', async () => {
+    assert.throws(() => createGenerator({format: 'gif'}));
+    await assert.rejects(createGenerator({format: 'svg'}).create({output: 'file'}), /Unsupported output/);
+});
+
+test('streamed challenge can be read by every request', async () => {
+    const gen = createGenerator({format: 'svg', output: 'stream'});
+    const authr = new CaptchaAuthr({popCaptcha: () => gen.create()}, {tooFast: 0});
+    const first = await authr.tryAuth('user'), second = await authr.tryAuth('user');
+    assert.ok(first.captcha.challenge instanceof Readable);
+    assert.notStrictEqual(second.captcha.challenge, first.captcha.challenge);
+    const image = await read(first.captcha.challenge);
+    assert.ok(image.toString().startsWith('<svg'));
+    assert.deepStrictEqual(await read(second.captcha.challenge), image);
+});
\ No newline at end of file
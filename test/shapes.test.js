@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const {join} = require('path');
+const {createGenerator} = require('../generator');
+
+const diamond = {
+    name: 'diamond',
+    draw: (ctx, res) => {
+        ctx.moveTo(0, -res / 2);
+        ctx.lineTo(res / 3, 0);
+        ctx.lineTo(0, res / 2);
+        ctx.lineTo(-res / 3, 0);
+        ctx.closePath();
+    },
+    symmetry: {rotation: 180, mirror: true}
+};
+
+const usedShapes = async (gen, count) => {
+    const used = new Set();
+    for (let seed = 1; seed <= count; seed++)
+        (await gen.create({seed, describe: true})).description.options
+            .forEach(option => option.layers.forEach(layer => used.add(layer.shape)));
+    return used;
+};
+
+test('registered shape is used in puzzles', async () => {
+    const gen = createGenerator({format: 'svg'});
+    gen.registerShape(diamond);
+    assert.ok(gen.getShapeNames().includes('diamond'));
+    gen.getShapeNames().filter(name => !['diamond', 'square', 'circle', 'cross', 'moon', 'roof', 'plus']
+        .includes(name)).forEach(gen.disableShape);
+    assert.strictEqual(gen.getShapeNames().length, 7);
+    assert.ok((await usedShapes(gen, 10)).has('diamond'));
+});
+
+test('invalid and duplicate shapes are refused', () => {
+    const gen = createGenerator({format: 'svg'});
+    assert.throws(() => gen.registerShape({name: 'blob'}), /Invalid shape/);
+    assert.throws(() => gen.registerShape(Object.assign({}, diamond, {name: 'square'})), /already exists/);
+});
+
+test('disabled shape is not used but still renders', async () => {
+    const gen = createGenerator({format: 'svg', describe: true}), {description} = await gen.create({seed: 3});
+    const shape = description.options[0].layers[0].shape;
+    gen.disableShape(shape);
+    assert.ok(!gen.getShapeNames().includes(shape));
+    assert.ok(!(await usedShapes(gen, 10)).has(shape));
+    assert.ok((await gen.render(description)).data);
+    gen.enableShape(shape);
+    assert.ok(gen.getShapeNames().includes(shape));
+    assert.throws(() => gen.disableShape('dodecahedron'), /Unknown shape/);
+});
+
+test('enough shapes have to stay in use', () => {
+    const gen = createGenerator({format: 'svg'}), names = gen.getShapeNames();
+    names.slice(0, names.length - 7).forEach(gen.disableShape);
+    assert.throws(() => gen.disableShape(gen.getShapeNames()[0]), /At least 7 shapes/);
+    assert.throws(() => createGenerator({disabledShapes: names}), /At least 7 shapes/);
+});
+
+test('shapes are loaded from module paths', t => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'kx-iqcaptcha-')), file = join(dir, 'diamond.js');
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    fs.writeFileSync(file, `module.exports = {name: 'diamond', draw: ${diamond.draw}};`);
+    assert.ok(createGenerator({format: 'svg', shapes: [file]}).getShapeNames().includes('diamond'));
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const {join} = require('path');
+const CaptchaAuthr = require('../captcha-authr');
+const AuthRecord = require('../captcha-authr/AuthRecord');
+const {MemoryStore, FileStore} = CaptchaAuthr.stores;
+
+const LABELS = 'ADEIHKMNOP'.split('');
+const provider = {
+    popCaptcha: () => new Promise(resolve => setTimeout(() => resolve({
+        choices: LABELS, answer: 'OP', data: 'image', seed: 1, areas: []
+    }), 5))
+};
+
+const tempDir = t => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'kx-iqcaptcha-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+};
+
+const stores = {memory: () => new MemoryStore(), file: t => new FileStore(tempDir(t))};
+
+Object.keys(stores).forEach(name => {
+    test(`${name} store keeps values until they expire`, async t => {
+        const store = stores[name](t);
+        store.set('a', {wrong: 1});
+        store.set('b', {wrong: 2}, 1);
+        assert.deepStrictEqual(store.get('a'), {wrong: 1});
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.strictEqual(store.get('b'), undefined);
+        assert.deepStrictEqual(store.scan(), [['a', {wrong: 1}]]);
+        store.delete('a');
+        assert.strictEqual(store.get('a'), undefined);
+    });
+
+    test(`concurrent answers with ${name} store stop at the limit`, async t => {
+        const authr = new CaptchaAuthr(provider, {store: stores[name](t), tooFast: 0});
+        await authr.tryAuth('user');
+        const guesses = [];
+        LABELS.forEach((label1, i) => LABELS.slice(i + 1).forEach(label2 => guesses.push(label1 + label2)));
+        const states = (await Promise.all(guesses.map(guess => authr.tryAuth('user', guess))))
+            .map(res => res.captcha.state);
+        assert.deepStrictEqual(states.slice(0, 3), ['wrong', 'wrong', 'wrong']);
+        assert.ok(states.slice(3).every(state => state === 'limit'));
+        assert.strictEqual(authr.isAuthd('user'), false);
+        assert.strictEqual(authr.getRecord('user').wrong, 4);
+    });
+});
+
+test('record is shared by authenticators with one file store', async t => {
+    const dir = tempDir(t),
+        authr1 = new CaptchaAuthr(provider, {store: new FileStore(dir), tooFast: 0}),
+        authr2 = new CaptchaAuthr(provider, {store: new FileStore(dir), tooFast: 0});
+    await authr1.tryAuth('user');
+    assert.strictEqual((await authr2.tryAuth('user', 'AD')).captcha.state, 'wrong');
+    assert.strictEqual(authr1.getRecord('user').wrong, 1);
+    assert.strictEqual((await authr1.tryAuth('user', 'po')).captcha.state, 'success');
+    assert.ok(authr2.isAuthd('user'));
+    authr2.deAuth('user');
+    assert.ok(!authr1.isAuthd('user'));
+});
+
+test('record is serialised without the image', () => {
+    const record = new AuthRecord({provider, maxWrong: 3});
+    record.captcha = {choices: LABELS, answer: 'OP', data: 'image', seed: 1, areas: []};
+    record.wrong = 2;
+    const json = JSON.parse(JSON.stringify(record.toJSON()));
+    assert.strictEqual(json.captcha.data, undefined);
+    const restored = AuthRecord.fromJSON(json, {provider, maxWrong: 3});
+    assert.strictEqual(restored.wrong, 2);
+    assert.strictEqual(restored.captcha.answer, 'OP');
+    assert.ok(!restored.hasChallenge());
+});
+
+test('record survives restart with file store', async t => {
+    const dir = tempDir(t);
+    const authr = new CaptchaAuthr(provider, {store: new FileStore(dir), tooFast: 0});
+    await authr.tryAuth('user');
+    await authr.tryAuth('user', 'AD');
+    const restarted = new CaptchaAuthr(provider, {store: new FileStore(dir), tooFast: 0});
+    const res = await restarted.tryAuth('user');
+    assert.strictEqual(res.captcha.challenge, 'image');
+    assert.strictEqual(res.captcha.info.wrong, 1);
+    assert.strictEqual((await restarted.tryAuth('user', 'OP')).captcha.state, 'success');
+});
\ No newline at end of file
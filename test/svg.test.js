@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const SvgContext = require('../svg-context');
+const {createGenerator} = require('../generator');
+
+const canvasInstalled = (() => {
+    try {
+        require.resolve('canvas');
+        return true;
+    } catch (e) {
+        return false;
+    }
+})();
+
+test('paths are recorded in device coordinates', () => {
+    const ctx = new SvgContext(10, 10);
+    ctx.translate(5, 5);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(2, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.strokeStyle = 'red';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    assert.strictEqual(ctx.toSVG(), '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" ' +
+        'viewBox="0 0 10 10"><path d="M5 5L7 5Z" fill="#000"/>' +
+        '<path d="M5 5L7 5Z" fill="none" stroke="red" stroke-width="2"/></svg>');
+});
+
+test('saved state is restored', () => {
+    const ctx = new SvgContext(10, 10);
+    ctx.save();
+    ctx.fillStyle = 'blue';
+    ctx.scale(2, 2);
+    ctx.restore();
+    ctx.fillRect(1, 1, 2, 2);
+    assert.ok(ctx.toSVG().includes('<path d="M1 1L3 1L3 3L1 3Z" fill="#000"/>'));
+});
+
+test('gradients are defined once per use', () => {
+    const ctx = new SvgContext(10, 10), gradient = ctx.createLinearGradient(0, 0, 1, 0);
+    gradient.addColorStop(0, '#fff');
+    gradient.addColorStop(1, '#000');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 2, 2);
+    const svg = ctx.toSVG();
+    assert.ok(svg.includes('<linearGradient id="g0" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="1" y2="0">'));
+    assert.ok(svg.includes('fill="url(#g0)"'));
+});
+
+test('text is escaped and condensed to maxWidth', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.font = '20px serif';
+    ctx.fillText('a<b', 0, 0, 50);
+    ctx.strokeText('pineapple', 0, 0, 50);
+    const [short, long] = ctx.toSVG().match(/<text[^>]*>[^<]*/g);
+    assert.ok(short.endsWith('>a&lt;b') && !short.includes('textLength'));
+    assert.ok(long.includes('textLength="50" lengthAdjust="spacingAndGlyphs"'));
+});
+
+test('svg format creates vector image', async () => {
+    const captcha = await createGenerator({format: 'svg', output: 'buffer'}).create({seed: 1});
+    assert.strictEqual(captcha.type, 'image/svg+xml');
+    assert.ok(captcha.data.toString().startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+    const dataURL = (await createGenerator({format: 'svg'}).create({seed: 1})).data;
+    assert.strictEqual(dataURL, 'data:image/svg+xml;base64,' + captcha.data.toString('base64'));
+});
+
+test('raster format without canvas explains how to get an image', {skip: canvasInstalled}, async () => {
+    await assert.rejects(createGenerator().create(), /needs the canvas module! Install canvas or use format 'svg'/);
+});
\ No newline at end of file
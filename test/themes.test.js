@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const Themes = require('../themes');
+const {createGenerator} = require('../generator');
+
+const svgOf = captcha => captcha.data.toString();
+
+const channels = color => color.match(/\d+/g).map(Number);
+
+test('themes are resolved from names and objects', () => {
+    assert.strictEqual(Themes.resolveTheme(), null);
+    assert.deepStrictEqual(Themes.resolveTheme('dark'), Themes.THEMES.dark);
+    const theme = Themes.resolveTheme({strokeStyle: '#586e75'}, {fillStyle: 'red', letterFillStyle: 'blue'});
+    assert.deepStrictEqual(theme, {
+        background: null, bounds: Themes.BOUNDS, fillStyle: 'red', strokeStyle: '#586e75',
+        letterFillStyle: 'blue', questionFillStyle: 'blue'
+    });
+    assert.throws(() => Themes.resolveTheme('sepia'), /Unknown theme/);
+    assert.throws(() => Themes.resolveTheme(42), /must be a name of built-in theme or an object/);
+    assert.throws(() => Themes.resolveTheme({bounds: [200, 100]}), /Theme bounds/);
+});
+
+test('theme colours the image', async () => {
+    const gen = createGenerator({format: 'svg', output: 'buffer', describe: true});
+    const plain = await gen.create({seed: 1}), dark = await gen.create({seed: 1, theme: 'dark'});
+    assert.ok(!svgOf(plain).includes('#1e1e1e'));
+    assert.ok(svgOf(dark).includes('M0 0L550 0L550 540L0 540Z" fill="#1e1e1e"'));
+    assert.ok(svgOf(dark).includes('stroke="#e6e6e6"'));
+    assert.ok(svgOf(dark).includes('fill-opacity="0.6">?</text>'));
+    assert.strictEqual(dark.answer, plain.answer);
+    assert.deepStrictEqual(dark.description.theme, Themes.THEMES.dark);
+    dark.description.boundColors.forEach(color => assert.ok(channels(color).every(value => value >= 90)));
+});
+
+test('theme of create call overrides theme of the generator', async () => {
+    const gen = createGenerator({format: 'svg', output: 'buffer', describe: true, theme: 'dark'});
+    const captcha = await gen.create({seed: 2, theme: 'high-contrast'});
+    assert.deepStrictEqual(captcha.description.theme, Themes.THEMES['high-contrast']);
+    assert.deepStrictEqual(captcha.description.boundColors, Array(3).fill('rgb(255, 255, 255)'));
+});
+
+test('render can switch theme of stored description', async () => {
+    const gen = createGenerator({format: 'svg', output: 'buffer', describe: true}),
+        captcha = await gen.create({seed: 3, theme: 'light'});
+    const rendered = await gen.render(captcha.description, {theme: 'dark'});
+    assert.ok(svgOf(rendered).includes('fill="#1e1e1e"'));
+    captcha.description.boundColors.forEach(color => assert.ok(svgOf(rendered).includes(color)));
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const {join} = require('path');
+const {CaptchaMgr, CaptchaTimeoutError, CaptchaAbortError} = require('..');
+
+const logger = {debug: f => f, log: f => f, warn: f => f, error: f => f, info: f => f};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const until = async (condition, timeout = 10000) => {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline)
+            throw new Error('Condition was not met in time!');
+        await sleep(20);
+    }
+};
+
+const forkedMgr = opts => new CaptchaMgr(Object.assign({forks: true, workers: 1, initialCapacity: 0,
+    checkInterval: 60000, capacityDynamic: false, logger, genOpts: {format: 'svg'}}, opts));
+
+test('waiting for CAPTCHA times out', async () => {
+    const mgr = new CaptchaMgr({forks: false, logger, genOpts: {format: 'svg'}});
+    await assert.rejects(mgr.popCaptcha({timeout: 20}), err => err instanceof CaptchaTimeoutError &&
+        err.code === 'ERR_CAPTCHA_TIMEOUT' && err.timeout === 20);
+    assert.strictEqual(mgr.getStats().awaiting, 0);
+});
+
+test('waiting for CAPTCHA is aborted by signal', async () => {
+    const mgr = new CaptchaMgr({forks: false, logger, genOpts: {format: 'svg'}}), controller = new AbortController();
+    const captcha = mgr.popCaptcha({signal: controller.signal});
+    controller.abort('gone');
+    await assert.rejects(captcha, err => err instanceof CaptchaAbortError && err.code === 'ERR_CAPTCHA_ABORTED' &&
+        err.reason === 'gone');
+    assert.strictEqual(mgr.getStats().awaiting, 0);
+    await assert.rejects(mgr.popCaptcha({signal: controller.signal}), CaptchaAbortError);
+});
+
+test('failed creation is retried', async t => {
+    let warnings = 0;
+    const mgr = new CaptchaMgr({forks: false, retries: 2, logger: Object.assign({}, logger, {warn: () => warnings++}),
+        genOpts: {format: 'svg'}});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    await assert.rejects(mgr.popCaptcha({difficulty: 'insane'}), /Invalid difficulty/);
+    assert.strictEqual(warnings, 2);
+});
+
+test('failing creation does not stop the queue', async t => {
+    const mgr = new CaptchaMgr({forks: false, initialCapacity: 1, checkInterval: 20, capacityDynamic: false,
+        retries: 0, logger, genOpts: {format: 'svg', validate: {threshold: 1, attempts: 1}}});
+    t.after(() => mgr.terminate());
+    let errors = 0;
+    mgr.on('generationError', () => errors++);
+    mgr.begin();
+    await until(() => errors >= 3);
+    assert.ok(mgr.getStats().pending <= 1);
+});
+
+test('unresponsive worker is killed and restarted', async t => {
+    const mgr = forkedMgr({generationTimeout: 1000, retries: 0});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    const pid = mgr._pool[0].job.pid;
+    process.kill(pid, 'SIGSTOP');
+    await assert.rejects(mgr.popCaptcha({difficulty: 'easy'}), /did not respond in 1000 ms/);
+    await until(() => mgr._pool[0].alive && mgr._pool[0].job.pid !== pid);
+    assert.ok((await mgr.popCaptcha({difficulty: 'easy'})).answer);
+});
+
+test('idle worker failing health check is restarted', async t => {
+    const mgr = forkedMgr({generationTimeout: 500, healthCheckInterval: 100});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    const pid = mgr._pool[0].job.pid;
+    await sleep(300); // answered pings keep the worker
+    assert.strictEqual(mgr._pool[0].job.pid, pid);
+    process.kill(pid, 'SIGSTOP');
+    await until(() => mgr._pool[0].alive && mgr._pool[0].job.pid !== pid);
+    assert.ok((await mgr.popCaptcha({difficulty: 'easy'})).answer);
+});
+
+test('worker crashing right after start is given up', async t => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'kx-iqcaptcha-')), file = join(dir, 'crash.js');
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    // the shape loads in the manager, but its workers exit
+    fs.writeFileSync(file, "process.send && process.exit(1); module.exports = {name: 'crash', draw: () => 0};");
+    const mgr = forkedMgr({retries: 10, genOpts: {format: 'svg', shapes: [file]}});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    await assert.rejects(mgr.popCaptcha({difficulty: 'easy'}), /No CAPTCHA worker is running/);
+    assert.strictEqual(mgr._pool.length, 0);
+});
\ No newline at end of file
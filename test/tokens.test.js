@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const CaptchaAuthr = require('../captcha-authr');
+const tokens = require('../captcha-authr/tokens');
+
+const SECRET = 'a secret of at least 16 bytes';
+const provider = {
+    popCaptcha: async () => ({choices: 'ADEIHKMNOP'.split(''), answer: 'AD', data: 'image', seed: 123456, areas: []})
+};
+
+test('sealed payload is unsealed only with the same secret', () => {
+    const token = tokens.seal({sub: 'subject', answer: 'AD'}, SECRET);
+    assert.deepStrictEqual(tokens.unseal(token, SECRET), {sub: 'subject', answer: 'AD'});
+    assert.strictEqual(tokens.unseal(token, 'another secret of 16 bytes'), undefined);
+    assert.ok(!Buffer.from(token.replace(/-/g, '+').replace(/_/g, '/'), 'base64').includes('subject'));
+});
+
+test('tampered token is rejected', () => {
+    const token = tokens.seal({sub: 'subject'}, SECRET),
+        tampered = token.slice(0, -2) + (token.slice(-2) === 'AA' ? 'BB' : 'AA');
+    assert.strictEqual(tokens.unseal(tampered, SECRET), undefined);
+    assert.strictEqual(tokens.unseal('', SECRET), undefined);
+});
+
+test('hashed answer accepts the correct answer in any form', () => {
+    const labels = 'ADEIHKMNOP'.split(''), hashed = tokens.hashAnswer('AD', labels, SECRET);
+    assert.ok(tokens.checkAnswer('d, a', hashed, labels, SECRET));
+    assert.ok(!tokens.checkAnswer('AE', hashed, labels, SECRET));
+    assert.ok(!tokens.checkAnswer('AD', hashed, labels, 'another secret of 16 bytes'));
+});
+
+test('token carries neither the seed nor the plain answer', async () => {
+    const authr = new CaptchaAuthr(provider, {tokenSecret: SECRET, tooFast: 0});
+    const res = await authr.tryAuth('user');
+    const {record} = tokens.unseal(res.captcha.token, SECRET);
+    assert.strictEqual(record.captcha.seed, undefined);
+    assert.notStrictEqual(record.captcha.answer, 'AD');
+});
+
+test('correct answer authenticates the subject of the token', async () => {
+    const authr = new CaptchaAuthr(provider, {tokenSecret: SECRET, tooFast: 0});
+    let res = await authr.tryAuth('user');
+    res = await authr.tryAuth('user', 'da', {token: res.captcha.token});
+    assert.strictEqual(res.captcha.state, 'success');
+    assert.ok(authr.isAuthd('user', res.captcha.token));
+    assert.ok(!authr.isAuthd('other', res.captcha.token));
+});
+
+test('used token can not be replayed', async () => {
+    const authr = new CaptchaAuthr(provider, {tokenSecret: SECRET, tooFast: 0});
+    const {token} = (await authr.tryAuth('user')).captcha;
+    assert.strictEqual((await authr.tryAuth('user', 'AE', {token})).captcha.state, 'wrong');
+    assert.strictEqual((await authr.tryAuth('user', 'AD', {token})).captcha.state, 'error');
+});
+
+test('token of another subject is rejected', async () => {
+    const authr = new CaptchaAuthr(provider, {tokenSecret: SECRET, tooFast: 0});
+    const {token} = (await authr.tryAuth('user')).captcha;
+    assert.strictEqual((await authr.tryAuth('other', 'AD', {token})).captcha.state, 'error');
+});
\ No newline at end of file
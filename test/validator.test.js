@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {createGenerator} = require('../generator');
+const {resolveValidation} = require('../validator');
+const {CaptchaValidationError} = require('../errors');
+
+const gen = createGenerator({format: 'svg', describe: true});
+const layers = (shape, angle) => [{shape, painter: 'place', resolution: 60, params: {angle, fill: true}}];
+const puzzle = (answer, options) => ({
+    tileRes: 100, answer, choices: options.map(([letter]) => letter),
+    options: options.map(([letter, shape, angle]) => ({letter, layers: layers(shape, angle)}))
+});
+
+test('options of different shapes are valid', () => {
+    assert.deepStrictEqual(gen.validate(puzzle('A', [['A', 'circle', 0], ['B', 'square', 20], ['C', 'cross', 0]])),
+        {valid: true, reasons: []});
+});
+
+test('rotated symmetric shape looking like the answer is rejected by pixels', () => {
+    const report = gen.validate(puzzle('A', [['A', 'circle', 0], ['B', 'circle', 30], ['C', 'square', 20]]));
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.reasons.map(({reason, letters, by}) => ({reason, letters, by})),
+        [{reason: 'decoyLikeAnswer', letters: ['A', 'B'], by: 'pixels'}]);
+    assert.ok(gen.validate(puzzle('A', [['A', 'circle', 0], ['B', 'circle', 30]]), {pixels: false}).valid);
+});
+
+test('options with the same layers are rejected by description', () => {
+    const report = gen.validate(puzzle('AB', [['A', 'square', 0], ['B', 'square', 0], ['C', 'cross', 0],
+        ['D', 'cross', 0]]));
+    assert.deepStrictEqual(report.reasons.map(({reason, by, difference}) => ({reason, by, difference})), [
+        {reason: 'sameAnswers', by: 'description', difference: 0},
+        {reason: 'sameDecoys', by: 'description', difference: 0}
+    ]);
+});
+
+test('only requested reasons lead to rejection', () => {
+    const description = puzzle('A', [['A', 'circle', 0], ['B', 'square', 0], ['C', 'square', 0]]);
+    assert.strictEqual(gen.validate(description).valid, false);
+    assert.strictEqual(gen.validate(description, {reasons: ['decoyLikeAnswer']}).valid, true);
+});
+
+test('options repeated under the same letter are compared once', () => {
+    assert.ok(gen.validate(puzzle('A', [['A', 'circle', 0], ['A', 'circle', 0], ['B', 'square', 20]])).valid);
+});
+
+test('created puzzles are replaced until they are valid', async () => {
+    const captcha = await gen.create({seed: 1, validate: true});
+    assert.ok(gen.validate(captcha.description).valid);
+    assert.ok((captcha.rejected || []).every(({seed, reasons}) => seed !== captcha.seed && reasons.length));
+    await assert.rejects(gen.create({seed: 1, validate: {threshold: 1, attempts: 2}}), error =>
+        error instanceof CaptchaValidationError && error.rejected.length === 2);
+});
+
+test('invalid settings are refused', () => {
+    assert.strictEqual(resolveValidation(false), null);
+    assert.throws(() => resolveValidation({threshold: 2}), /range/);
+    assert.throws(() => resolveValidation({attempts: 0}), /positive integer/);
+    assert.throws(() => resolveValidation({reasons: ['ugly']}), /reasons/);
+});
\ No newline at end of file
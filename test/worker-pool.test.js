@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const {CaptchaMgr} = require('..');
+
+const logger = {debug: f => f, log: f => f, warn: f => f, error: f => f, info: f => f};
+
+const exited = worker => new Promise(resolve => (worker.alive ? worker.job.once('exit', resolve) : resolve()));
+
+const popMany = (mgr, count) => Promise.all(Array.from({length: count}, () => mgr.popCaptcha({timeout: 60000})));
+
+test('seeded pool of workers creates no duplicate seeds', async t => {
+    const mgr = new CaptchaMgr({forks: true, workers: 2, initialCapacity: 6, checkInterval: 50,
+        capacityDynamic: false, logger, genOpts: {format: 'svg', seed: 42}});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    const seeds = (await popMany(mgr, 6)).map(captcha => captcha.seed);
+    assert.strictEqual(new Set(seeds).size, seeds.length);
+});
+
+test('jobs waiting for a busy worker do not time out', async t => {
+    const mgr = new CaptchaMgr({forks: true, workers: 1, initialCapacity: 1, checkInterval: 60000,
+        capacityDynamic: false, generationTimeout: 1000, retries: 0, logger,
+        genOpts: {format: 'svg', validate: true}});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    // on-demand creations wait in the queue of the single worker together longer than one timeout
+    const captchas = await Promise.all(Array.from({length: 20}, () => mgr.popCaptcha({difficulty: 'hard'})));
+    assert.strictEqual(captchas.length, 20);
+});
+
+test('jobs are spread over idle workers', async t => {
+    const mgr = new CaptchaMgr({forks: true, workers: 2, initialCapacity: 0, checkInterval: 60000,
+        capacityDynamic: false, logger, genOpts: {format: 'svg'}});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    const captchas = [mgr.popCaptcha({difficulty: 'easy'}), mgr.popCaptcha({difficulty: 'easy'})];
+    assert.deepStrictEqual(mgr._pool.map(worker => worker.jobs), [1, 1]);
+    await Promise.all(captchas);
+});
+
+test('crashed worker is restarted and its job created again', async t => {
+    const mgr = new CaptchaMgr({forks: true, workers: 2, initialCapacity: 0, checkInterval: 60000,
+        capacityDynamic: false, logger, genOpts: {format: 'svg'}});
+    t.after(() => mgr.terminate());
+    mgr.begin();
+    const crashed = mgr._pool[0], pid = crashed.job.pid;
+    const captcha = mgr.popCaptcha({difficulty: 'easy'});
+    assert.strictEqual(crashed.jobs, 1);
+    crashed.job.kill('SIGKILL');
+    assert.ok((await captcha).answer);
+    await exited(crashed);
+    await new Promise(resolve => setTimeout(resolve, 1100)); // crash right after start is restarted with delay
+    assert.strictEqual(mgr._pool.length, 2);
+    assert.ok(mgr._pool.every(worker => worker.alive && worker.job.pid !== pid));
+    assert.ok((await mgr.popCaptcha({difficulty: 'easy'})).answer);
+});
+
+test('terminate stops the workers', async () => {
+    const mgr = new CaptchaMgr({forks: true, workers: 2, initialCapacity: 0, checkInterval: 60000,
+        capacityDynamic: false, logger, genOpts: {format: 'svg'}});
+    mgr.begin();
+    const workers = [...mgr._pool];
+    mgr.terminate();
+    await Promise.all(workers.map(exited));
+    assert.ok(workers.every(worker => !worker.alive));
+    await assert.rejects(mgr.popCaptcha({difficulty: 'easy'}), /terminated/);
+});
+
+test('function options are refused with forks', () => {
+    assert.throws(() => new CaptchaMgr({forks: true, genOpts: {shapes: [{name: 'blob', draw() {}}]}}),
+        /genOpts\.shapes\.0\.draw/);
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Colour themes of the puzzle image
+ * @module themes
+ */
+
+'use strict';
+
+/**
+ * Built-in themes. A theme has these properties:
+ * background - canvas style of the image background, null for transparent,
+ * bounds - range [min, max] of colour channels of tile bound gradients,
+ * fillStyle - canvas style of shapes, strokeStyle - canvas stroke style of shapes,
+ * letterFillStyle - canvas style of labels, questionFillStyle - canvas style of the question mark.
+ *  @constant
+ */
+const THEMES = {
+    light: {
+        background: '#fff',
+        bounds: [50, 255],
+        fillStyle: 'rgba(0,0,0,0.2)',
+        strokeStyle: '#000',
+        letterFillStyle: 'rgba(0,0,0,0.4)',
+        questionFillStyle: 'rgba(0,0,0,0.4)'
+    },
+    dark: {
+        background: '#1e1e1e',
+        bounds: [90, 255],
+        fillStyle: 'rgba(255,255,255,0.25)',
+        strokeStyle: '#e6e6e6',
+        letterFillStyle: 'rgba(255,255,255,0.5)',
+        questionFillStyle: 'rgba(255,255,255,0.6)'
+    },
+    'high-contrast': {
+        background: '#000',
+        bounds: [255, 255],
+        fillStyle: 'rgba(255,255,0,0.45)',
+        strokeStyle: '#fff',
+        letterFillStyle: 'rgba(0,255,255,0.75)',
+        questionFillStyle: '#ff0'
+    }
+};
+/**
+ * Range of colour channels of tile bound gradients without theme.
+ *  @constant
+ */
+const BOUNDS = [50, 255];
+
+/**
+ * Resolves theme. Properties missing in custom theme are taken from the defaults.
+ * @param {String|Object} [theme] name of built-in theme, see {@link THEMES}, or theme object
+ * @param {Object} [defaults] style options of the generator used without theme or for properties missing in theme
+ * @param {String} [defaults.fillStyle] canvas style of shapes
+ * @param {String} [defaults.strokeStyle] canvas stroke style of shapes
+ * @param {String} [defaults.letterFillStyle] canvas style of labels
+ * @returns {Object|null} theme or null if none provided
+ */
+const resolveTheme = (theme, defaults = {}) => {
+    if (theme === undefined || theme === null)
+        return null;
+    if (typeof theme === 'string') {
+        if (!THEMES.hasOwnProperty(theme))
+            throw new Error(`Unknown theme ${theme}!`);
+        theme = THEMES[theme];
+    }
+    if (typeof theme !== 'object')
+        throw new Error('Theme must be a name of built-in theme or an object!');
+    const resolved = Object.assign({
+        background: null,
+        bounds: BOUNDS,
+        fillStyle: defaults.fillStyle,
+        strokeStyle: defaults.strokeStyle,
+        letterFillStyle: defaults.letterFillStyle
+    }, theme);
+    if (resolved.questionFillStyle === undefined)
+        resolved.questionFillStyle = resolved.letterFillStyle;
+    const [min, max] = resolved.bounds || [];
+    if (!(Number.isInteger(min) && Number.isInteger(max) && min >= 0 && min <= max && max <= 255))
+        throw new Error('Theme bounds must be integers in range [0, 255] where min <= max!');
+    resolved.bounds = [min, max];
+    return resolved;
+};
+
+module.exports = {THEMES, BOUNDS, resolveTheme};
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Validity checks of puzzles
+ * @module validator
+ */
+
+'use strict';
+
+const MaskContext = require('./mask-context');
+const {splitLabels} = require('./labels');
+
+/**
+ * Default share of covered pixels of two option tiles which has to differ for the tiles to look different.
+ *  @constant
+ */
+const THRESHOLD = .02;
+/**
+ * Default count of puzzles tried before creation gives up.
+ *  @constant
+ */
+const ATTEMPTS = 10;
+/**
+ * Reasons of rejection and their messages.
+ * decoyLikeAnswer - a wrong option looks the same as a correct one, so the answer is ambiguous,
+ * sameAnswers - correct options look the same,
+ * sameDecoys - wrong options look the same.
+ *  @constant
+ */
+const REASONS = {
+    decoyLikeAnswer: 'wrong option looks the same as a correct one',
+    sameAnswers: 'correct options look the same',
+    sameDecoys: 'wrong options look the same'
+};
+
+/**
+ * Resolves validation settings.
+ * @param {Boolean|Object} [validate] true for default settings or object with settings
+ * @param {Boolean} [validate.pixels] whether option tiles are compared pixel by pixel too, not only by their
+ * description. Default true
+ * @param {Number} [validate.threshold] share of differing pixels in range [0, 1], see {@link THRESHOLD}
+ * @param {Number} [validate.attempts] count of puzzles tried before creation fails, see {@link ATTEMPTS}
+ * @param {Array<String>} [validate.reasons] reasons leading to rejection, see {@link REASONS}. Default all of them
+ * @returns {Object|null} settings or null if puzzles are not validated
+ */
+const resolveValidation = validate => {
+    if (validate === undefined || validate === null || validate === false)
+        return null;
+    if (validate !== true && typeof validate !== 'object')
+        throw new Error(`Invalid validation ${validate}!`);
+    const {pixels = true, threshold = THRESHOLD, attempts = ATTEMPTS, reasons = Object.keys(REASONS)} =
+        validate === true ? {} : validate;
+    if (!(threshold >= 0 && threshold <= 1))
+        throw new Error('Validation threshold must be in range [0, 1]!');
+    if (!Number.isInteger(attempts) || attempts < 1)
+        throw new Error('Validation attempts must be a positive integer!');
+    if (!Array.isArray(reasons) || reasons.some(reason => !REASONS.hasOwnProperty(reason)))
+        throw new Error(`Validation reasons must be some of ${Object.keys(REASONS).join(', ')}!`);
+    return {pixels: Boolean(pixels), threshold, attempts, reasons: [...reasons]};
+};
+
+const _signature = layers => JSON.stringify(layers.map(layer => [layer.shape, layer.painter, layer.resolution,
+    Object.keys(layer.params).filter(key => key !== 'belongs').sort().map(key => [key, layer.params[key]])]));
+
+/**
+ * Checks that options of described puzzle are told apart, so exactly one set of options is correct. Options are
+ * compared by their layers first, then by masks of their tiles. Options repeated under the same letter are
+ * compared only once.
+ * @param {Object} description puzzle description
+ * @param {function(Object, Array<Object>)} drawLayers function drawing described layers onto a canvas context
+ * @param {Object} [settings] validation settings, see {@link resolveValidation}. Defaults to default settings
+ * @returns {{valid: Boolean, reasons: Array<{reason: String, message: String, letters: Array<String>, by: String, difference: Number}>}}
+ * whether the puzzle is valid and reasons of its rejection. By is 'description' or 'pixels', difference is share
+ * of differing pixels
+ */
+const validatePuzzle = (description, drawLayers, settings = resolveValidation(true)) => {
+    const correct = splitLabels(description.answer, description.choices),
+        res = description.tileRes,
+        options = [];
+    description.options.forEach(option => {
+        if (!options.some(known => known.letter === option.letter))
+            options.push({
+                letter: option.letter, layers: option.layers, signature: _signature(option.layers),
+                correct: correct.includes(option.letter.toLowerCase())
+            });
+    });
+    const _mask = option => {
+        if (!option.mask) {
+            option.mask = new MaskContext(res, res);
+            option.mask.translate(res / 2, res / 2);
+            drawLayers(option.mask, option.layers);
+        }
+        return option.mask;
+    };
+
+    const reasons = [];
+    options.forEach((option1, i) => options.slice(i + 1).forEach(option2 => {
+        const reason = option1.correct !== option2.correct ? 'decoyLikeAnswer'
+            : option1.correct ? 'sameAnswers' : 'sameDecoys';
+        if (!settings.reasons.includes(reason))
+            return;
+        const letters = [option1.letter, option2.letter];
+        if (option1.signature === option2.signature)
+            reasons.push({reason, message: REASONS[reason], letters, by: 'description', difference: 0});
+        else if (settings.pixels) {
+            const difference = MaskContext.compareMasks(_mask(option1), _mask(option2));
+            difference < settings.threshold && reasons.push({
+                reason, message: REASONS[reason], letters, by: 'pixels', difference
+            });
+        }
+    }));
+    return {valid: !reasons.length, reasons};
+};
+
+module.exports = {THRESHOLD, ATTEMPTS, REASONS, resolveValidation, validatePuzzle};
\ No newline at end of file